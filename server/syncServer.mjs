@@ -0,0 +1,197 @@
+/**
+ * Local stand-in for the garden sync backend (see src/sync/syncEngine.js for the client side).
+ * No dependencies; keeps everything in memory and, with --data, mirrors it to a JSON file.
+ *
+ *   node server/syncServer.mjs [--port 8787] [--data ./garden-sync.json]
+ *
+ * then open the game with ?sync=http://localhost:8787
+ *
+ *   GET  /health
+ *   POST /gardens/:gardenId/push      { clientId, tasks: [record], deleted: { id: stamp } } -> { cursor }
+ *   GET  /gardens/:gardenId/changes?since=N  -> { cursor, tasks: [record], deleted: { id: stamp } }
+ *
+ * Tests and other tools can import createSyncServer() and listen on a port of their own.
+ *
+ * Conflicts are resolved per field using record.fieldTimes, with the client's own rules and field
+ * list from src/sync/fieldMerge.js.
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { mergeFields as mergeFieldTimes, latestFieldTime } from '../src/sync/fieldMerge.js';
+
+const MAX_BODY = 5e6;
+
+// garden ids are "default" or uuids; anything else (e.g. "__proto__") is refused
+const GARDEN_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+
+function arg(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+// prototype-free copy of a plain object, so task ids like "__proto__" are ordinary keys
+function dict(obj) {
+    return Object.assign(Object.create(null), obj && typeof obj === 'object' ? obj : {});
+}
+
+// the client's per-field merge; the stored record also keeps the newest rev and update time
+function mergeFields(local, remote) {
+    const { merged, changed } = mergeFieldTimes(local, remote);
+    merged.rev = Math.max(local.rev || 0, remote.rev || 0);
+    if ((remote.updatedAt || '') > (merged.updatedAt || '')) merged.updatedAt = remote.updatedAt;
+    return { merged, changed };
+}
+
+function applyPush(g, body) {
+    for (const r of Array.isArray(body.tasks) ? body.tasks : []) {
+        if (!r || typeof r.id !== 'string') continue;
+        const tomb = g.deleted[r.id];
+        if (tomb && (tomb.stamp.updatedAt || '') >= latestFieldTime(r)) continue;
+        const cur = g.tasks[r.id];
+        if (!cur) {
+            g.tasks[r.id] = { record: r, seq: ++g.seq };
+            delete g.deleted[r.id];
+            continue;
+        }
+        const { merged, changed } = mergeFields(cur.record, r);
+        cur.record = merged;
+        if (changed) cur.seq = ++g.seq;
+    }
+    for (const [id, stamp] of Object.entries(body.deleted || {})) {
+        if (!stamp || typeof stamp !== 'object') continue;
+        const cur = g.tasks[id];
+        if (cur && latestFieldTime(cur.record) >= (stamp.updatedAt || '')) continue;
+        delete g.tasks[id];
+        g.deleted[id] = { stamp, seq: ++g.seq };
+    }
+}
+
+function changesSince(g, since) {
+    const tasks = [];
+    const deleted = {};
+    for (const t of Object.values(g.tasks)) if (t.seq > since) tasks.push(t.record);
+    for (const [id, d] of Object.entries(g.deleted)) if (d.seq > since) deleted[id] = d.stamp;
+    return { cursor: g.seq, tasks, deleted };
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', (c) => {
+            data += c;
+            if (data.length > MAX_BODY) {
+                // stop reading (and buffering) the rest of an oversized upload
+                reject(new Error('body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try { resolve(data ? JSON.parse(data) : {}); } catch (e) { reject(e); }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * createSyncServer(opts)
+ * opts: { dataFile: JSON file to load from and mirror to (optional) }
+ * returns an http.Server that isn't listening yet
+ */
+export function createSyncServer(opts = {}) {
+    const dataFile = opts.dataFile ?? null;
+
+    // gardenId -> { seq, tasks: { id: { record, seq } }, deleted: { id: { stamp, seq } } }
+    const gardens = new Map();
+    if (dataFile && fs.existsSync(dataFile)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+            for (const [id, g] of Object.entries(saved || {})) {
+                if (!GARDEN_ID_RE.test(id) || !g || typeof g !== 'object') continue;
+                gardens.set(id, { seq: Number(g.seq) || 0, tasks: dict(g.tasks), deleted: dict(g.deleted) });
+            }
+        } catch (e) {
+            console.warn(`could not read ${dataFile}, starting empty:`, e.message);
+        }
+    }
+
+    let persistTimer = null;
+    function persist() {
+        if (!dataFile || persistTimer) return;
+        persistTimer = setTimeout(() => {
+            persistTimer = null;
+            fs.writeFile(dataFile, JSON.stringify(Object.fromEntries(gardens), null, 2), (e) => {
+                if (e) console.warn(`could not write ${dataFile}:`, e.message);
+            });
+        }, 200);
+    }
+
+    function garden(id) {
+        if (!gardens.has(id)) gardens.set(id, { seq: 0, tasks: dict(), deleted: dict() });
+        return gardens.get(id);
+    }
+
+    async function handle(req, res) {
+        if (req.method === 'OPTIONS') return send(res, 204);
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && url.pathname === '/health') return send(res, 200, { ok: true });
+
+        const m = url.pathname.match(/^\/gardens\/([^/]+)\/(push|changes)$/);
+        if (!m) return send(res, 404, { error: 'not found' });
+        let gardenId;
+        try {
+            gardenId = decodeURIComponent(m[1]);
+        } catch (e) {
+            return send(res, 400, { error: 'bad garden id' });
+        }
+        if (!GARDEN_ID_RE.test(gardenId)) return send(res, 400, { error: 'bad garden id' });
+
+        if (m[2] === 'push' && req.method === 'POST') {
+            let body;
+            try {
+                body = await readBody(req);
+            } catch (e) {
+                return send(res, 400, { error: e.message });
+            }
+            if (!body || typeof body !== 'object') return send(res, 400, { error: 'body must be an object' });
+            const g = garden(gardenId);
+            applyPush(g, body);
+            persist();
+            return send(res, 200, { cursor: g.seq });
+        }
+        if (m[2] === 'changes' && req.method === 'GET') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            return send(res, 200, changesSince(garden(gardenId), since));
+        }
+        send(res, 405, { error: 'method not allowed' });
+    }
+
+    const server = http.createServer((req, res) => {
+        // one bad request must not take the server down
+        handle(req, res).catch((e) => {
+            console.warn('request failed:', e);
+            if (!res.headersSent) send(res, 500, { error: 'internal error' });
+            else res.destroy();
+        });
+    });
+    return server;
+}
+
+// node server/syncServer.mjs
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(arg('port', process.env.PORT || 8787));
+    const dataFile = arg('data', null);
+    createSyncServer({ dataFile }).listen(port, () => {
+        console.log(`garden sync server on http://localhost:${port}${dataFile ? ` (data: ${dataFile})` : ''}`);
+    });
+}
@@ -0,0 +1,152 @@
+import { createStorage } from './storage/index.js';
+import { createTaskId } from './storage/schema.js';
+
+// index of all gardens lives under this key (each garden's tasks live under its own storageKey)
+export const GARDEN_INDEX_KEY = 'todo-garden-index';
+
+// the garden that existed before multiple gardens keeps its original storage key and terrain seed
+const DEFAULT_GARDEN = {
+    id: 'default',
+    name: 'My Garden',
+    storageKey: 'todo-garden-weeds-v1',
+    seed: 42,
+};
+
+function randomSeed() {
+    return Math.floor(Math.random() * 0x7fffffff);
+}
+
+// a few trees spread along the ground; stored so a garden looks the same every visit
+export function createTreeLayout(count = 1 + Math.floor(Math.random() * 3)) {
+    const trees = [];
+    for (let i = 0; i < count; i++) {
+        trees.push({
+            x: i * 600 + Math.round((Math.random() - 0.5) * 200),
+            height: 300 + Math.round(Math.random() * 200),
+            canopyDensity: 10 + Math.round(Math.random() * 20),
+        });
+    }
+    return trees;
+}
+
+/**
+ * GardenRegistry
+ * Keeps the list of named gardens ({ id, name, storageKey, seed, trees, createdAt })
+ * and which one is active. Gardens are independent: each has its own task storage key,
+ * undo history, terrain seed and tree layout.
+ */
+export class GardenRegistry {
+    // opts: { storage: adapter or kind (see storage/index.js) }
+    constructor(opts = {}) {
+        this.storage = createStorage(opts.storage ?? 'localStorage');
+        this.gardens = [];
+        this.activeId = null;
+    }
+
+    async load() {
+        let data = null;
+        try {
+            data = await this.storage.load(GARDEN_INDEX_KEY);
+        } catch (e) {
+            console.warn('[gardens] could not read garden index:', e);
+        }
+        const list = (data && Array.isArray(data.gardens)) ? data.gardens.filter(g => g && g.id && g.storageKey) : [];
+        if (!list.length) {
+            list.push(Object.assign({}, DEFAULT_GARDEN, { trees: createTreeLayout(1), createdAt: new Date().toISOString() }));
+        }
+        this.gardens = list.map(g => Object.assign({
+            name: 'Garden',
+            seed: randomSeed(),
+            trees: createTreeLayout(),
+            createdAt: new Date().toISOString(),
+        }, g));
+        this.activeId = (data && this.get(data.activeId)) ? data.activeId : this.gardens[0].id;
+        await this.save();
+        return this;
+    }
+
+    save() {
+        return this.storage.save(GARDEN_INDEX_KEY, { version: 1, activeId: this.activeId, gardens: this.gardens })
+            .catch((e) => console.warn('[gardens] could not save garden index:', e));
+    }
+
+    get(id) {
+        return this.gardens.find(g => g.id === id) || null;
+    }
+
+    get active() {
+        return this.get(this.activeId) || this.gardens[0];
+    }
+
+    async setActive(id) {
+        if (!this.get(id)) return null;
+        this.activeId = id;
+        await this.save();
+        return this.active;
+    }
+
+    async create(name) {
+        const id = createTaskId();
+        const garden = {
+            id,
+            name: name || 'New Garden',
+            storageKey: `todo-garden-${id}`,
+            seed: randomSeed(),
+            trees: createTreeLayout(),
+            createdAt: new Date().toISOString(),
+        };
+        this.gardens.push(garden);
+        await this.save();
+        return garden;
+    }
+
+    async rename(id, name) {
+        const g = this.get(id);
+        if (!g || !name) return null;
+        g.name = name;
+        await this.save();
+        return g;
+    }
+
+    // copies the saved tasks too; the copy keeps the same terrain and trees
+    async duplicate(id, name) {
+        const src = this.get(id);
+        if (!src) return null;
+        const copy = await this.create(name || `${src.name} (copy)`);
+        copy.seed = src.seed;
+        copy.trees = src.trees.map(t => Object.assign({}, t));
+        try {
+            const data = await this.storage.load(src.storageKey);
+            if (data != null) {
+                if (data.garden) data.garden.name = copy.name;
+                await this.storage.save(copy.storageKey, data);
+            }
+        } catch (e) {
+            console.warn('[gardens] could not copy garden data:', e);
+        }
+        await this.save();
+        return copy;
+    }
+
+    // removes the garden and its saved data; the last garden can't be removed
+    async remove(id) {
+        const g = this.get(id);
+        if (!g || this.gardens.length <= 1) return false;
+        this.gardens = this.gardens.filter(x => x.id !== id);
+        if (this.activeId === id) this.activeId = this.gardens[0].id;
+        try {
+            await this.storage.remove(g.storageKey);
+            await this.storage.remove(g.storageKey + ':history');
+            // change log and cursor of device sync; a new garden under this key must not replay them
+            await this.storage.remove(g.storageKey + ':sync');
+            // unsaved-changes copy kept by WeedManager when it saves to IndexedDB
+            if (typeof localStorage !== 'undefined') localStorage.removeItem(g.storageKey + ':pending');
+        } catch (e) {
+            console.warn('[gardens] could not remove garden data:', e);
+        }
+        await this.save();
+        return true;
+    }
+}
+
+export default GardenRegistry;
@@ -0,0 +1,123 @@
+/**
+ * Undo/redo history for garden operations.
+ *
+ * Entries are plain data so they can be persisted:
+ *   { id, label, at, changes: [{ id, before, after }] }
+ * where before/after are task records (storage/schema.js shape) or null when the task
+ * didn't exist on that side (null before = added, null after = deleted).
+ *
+ * History never touches the garden itself; undo()/redo() hand each change to `apply(id, record)`
+ * and the owner (WeedManager) makes the world match that record.
+ *
+ * Several tabs share one stored history: mergedJSON(stored) keeps the entries other tabs wrote
+ * next to this tab's own, so one tab's save doesn't wipe the other's steps.
+ */
+export class History {
+    // opts: { limit: max entries kept, apply: (id, record|null) => void, onChange: () => void }
+    constructor(opts = {}) {
+        this.limit = opts.limit ?? 50;
+        this.apply = opts.apply ?? (() => {});
+        this.onChange = opts.onChange ?? (() => {});
+        this.undoStack = [];
+        this.redoStack = [];
+        // ids of every entry this instance has held; those are never taken back from storage
+        this._seen = new Set();
+    }
+
+    get canUndo() { return this.undoStack.length > 0; }
+    get canRedo() { return this.redoStack.length > 0; }
+
+    // label of the entry the next undo()/redo() would apply (for button titles)
+    get undoLabel() { return this.canUndo ? this.undoStack[this.undoStack.length - 1].label : null; }
+    get redoLabel() { return this.canRedo ? this.redoStack[this.redoStack.length - 1].label : null; }
+
+    record(label, changes) {
+        if (!changes || !changes.length) return;
+        const entry = { id: createEntryId(), label, at: new Date().toISOString(), changes };
+        this._seen.add(entry.id);
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) this.undoStack.splice(0, this.undoStack.length - this.limit);
+        this.redoStack.length = 0;
+        this.onChange();
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        // unwind in reverse so dependent changes inside one entry replay cleanly
+        for (let i = entry.changes.length - 1; i >= 0; i--) {
+            const c = entry.changes[i];
+            this.apply(c.id, c.before);
+        }
+        this.redoStack.push(entry);
+        this.onChange();
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        for (const c of entry.changes) this.apply(c.id, c.after);
+        this.undoStack.push(entry);
+        this.onChange();
+        return entry;
+    }
+
+    clear() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+        this.onChange();
+    }
+
+    toJSON() {
+        return { undo: this.undoStack, redo: this.redoStack };
+    }
+
+    // toJSON() plus the entries in `stored` (what is saved now) that other tabs added since we loaded
+    mergedJSON(stored) {
+        const foreign = (key) => (stored && Array.isArray(stored[key]) ? stored[key] : [])
+            .filter(e => e && typeof e.id === 'string' && !this._seen.has(e.id));
+        const byTime = (a, b) => (a.at || '').localeCompare(b.at || '');
+        // undo pops the newest step, redo the oldest undone one
+        return {
+            undo: this.undoStack.concat(foreign('undo')).sort(byTime).slice(-this.limit),
+            redo: this.redoStack.concat(foreign('redo')).sort((a, b) => byTime(b, a)).slice(-this.limit),
+        };
+    }
+
+    // restore from toJSON() output; malformed entries are dropped
+    load(data) {
+        const valid = (e) => e && typeof e.label === 'string' && Array.isArray(e.changes) &&
+            e.changes.every(c => c && typeof c.id === 'string');
+        this.undoStack = (data && Array.isArray(data.undo)) ? data.undo.filter(valid).slice(-this.limit) : [];
+        this.redoStack = (data && Array.isArray(data.redo)) ? data.redo.filter(valid).slice(-this.limit) : [];
+        // entries saved before they had ids get one now
+        for (const e of this.undoStack.concat(this.redoStack)) {
+            if (typeof e.id !== 'string') e.id = createEntryId();
+            this._seen.add(e.id);
+        }
+        this.onChange();
+    }
+}
+
+function createEntryId() {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+/**
+ * diffSnapshots(before, after)
+ * - before/after: Map of id -> task record
+ * returns the changes list for History.record (only tasks that actually differ)
+ */
+export function diffSnapshots(before, after) {
+    const changes = [];
+    const ids = new Set([...before.keys(), ...after.keys()]);
+    for (const id of ids) {
+        const b = before.get(id) ?? null;
+        const a = after.get(id) ?? null;
+        if (JSON.stringify(b) !== JSON.stringify(a)) changes.push({ id, before: b, after: a });
+    }
+    return changes;
+}
+
+export default History;
@@ -0,0 +1,46 @@
+// Browser helpers for moving text in and out of the page as files.
+
+// trigger a download of `text` as `filename`
+export function downloadText(filename, text, mime = 'text/plain') {
+    const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+        try { document.body.removeChild(a); } catch (e) {}
+        URL.revokeObjectURL(url);
+    }, 0);
+}
+
+// open a file picker; resolves { name, text } or null if the user backs out
+export function pickTextFile(accept = '') {
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        if (accept) input.accept = accept;
+        input.style.display = 'none';
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            try { document.body.removeChild(input); } catch (e) {}
+            if (!file) { resolve(null); return; }
+            file.text().then((text) => resolve({ name: file.name, text }), reject);
+        });
+        // 'cancel' fires in newer browsers when the picker is dismissed
+        input.addEventListener('cancel', () => {
+            try { document.body.removeChild(input); } catch (e) {}
+            resolve(null);
+        });
+        document.body.appendChild(input);
+        input.click();
+    });
+}
+
+// timestamped file name like "todo-garden-2024-05-01.json"
+export function datedFileName(base, ext) {
+    const d = new Date().toISOString().slice(0, 10);
+    return `${base}-${d}.${ext}`;
+}
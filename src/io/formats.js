@@ -0,0 +1,60 @@
+import { serializeGardenFile, parseGardenFile } from './gardenFile.js';
+import { serializeTodoTxt, parseTodoTxt } from './todoTxt.js';
+import { serializeICal, parseICal } from './ical.js';
+import { serializeMarkdownChecklist, parseMarkdownChecklist } from './markdown.js';
+
+/**
+ * File formats the garden can export to / import from.
+ * Each entry:
+ *   label, ext, mime, accept       - shown in the picker / used for the download
+ *   serialize(garden, tasks)       -> text
+ *   parse(text)                    -> { tasks, errors, garden? }  (throws if the file is unusable)
+ */
+export const FORMATS = {
+    json: {
+        label: 'Garden backup (.json)',
+        ext: 'json',
+        mime: 'application/json',
+        accept: ['.json', 'application/json'],
+        serialize: (garden, tasks) => serializeGardenFile(garden, tasks),
+        parse: (text) => parseGardenFile(text),
+    },
+    todotxt: {
+        label: 'todo.txt (.txt)',
+        ext: 'txt',
+        mime: 'text/plain',
+        accept: ['.txt', 'text/plain'],
+        serialize: (garden, tasks) => serializeTodoTxt(tasks),
+        parse: (text) => parseTodoTxt(text),
+    },
+    ical: {
+        label: 'iCalendar tasks (.ics)',
+        ext: 'ics',
+        mime: 'text/calendar',
+        accept: ['.ics', 'text/calendar'],
+        serialize: (garden, tasks) => serializeICal(tasks),
+        parse: (text) => parseICal(text),
+    },
+    markdown: {
+        label: 'Markdown checklist (.md)',
+        ext: 'md',
+        mime: 'text/markdown',
+        accept: ['.md', '.markdown', 'text/markdown'],
+        serialize: (garden, tasks) => serializeMarkdownChecklist(tasks),
+        parse: (text) => parseMarkdownChecklist(text),
+    },
+};
+
+// accept="" value covering every importable format
+export function allAccepts() {
+    return Object.values(FORMATS).flatMap(f => f.accept).join(',');
+}
+
+// guess a format from a file name; falls back to JSON
+export function formatForFileName(name = '') {
+    const ext = '.' + String(name).split('.').pop().toLowerCase();
+    for (const [id, f] of Object.entries(FORMATS)) {
+        if (f.accept.includes(ext)) return id;
+    }
+    return 'json';
+}
@@ -0,0 +1,102 @@
+import { SCHEMA_VERSION, normalizeTask, createGardenMeta } from '../storage/schema.js';
+import { PRIORITIES } from '../model/priority.js';
+
+// marker so we can tell our own exports apart from arbitrary JSON
+export const GARDEN_FILE_FORMAT = 'todo-garden';
+
+/**
+ * serializeGardenFile(garden, tasks)
+ * - garden: garden metadata ({ name, createdAt, updatedAt })
+ * - tasks: task records (same shape as storage/schema.js)
+ * returns pretty-printed JSON text
+ */
+export function serializeGardenFile(garden, tasks) {
+    return JSON.stringify({
+        format: GARDEN_FILE_FORMAT,
+        version: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        garden,
+        tasks,
+    }, null, 2);
+}
+
+function validDate(v) {
+    return v == null || v === '' || !Number.isNaN(new Date(v).getTime());
+}
+
+// returns a list of problems with a single raw task entry (empty when it's fine)
+export function validateTaskEntry(r) {
+    if (!r || typeof r !== 'object' || Array.isArray(r)) return ['not an object'];
+    const problems = [];
+    if (typeof r.text !== 'string' || !r.text.trim()) problems.push('missing "text"');
+    if (r.id != null && typeof r.id !== 'string') problems.push('"id" must be a string');
+    if (r.x != null && !Number.isFinite(r.x)) problems.push('"x" must be a number');
+    if (r.completed != null && typeof r.completed !== 'boolean') problems.push('"completed" must be true/false');
+    if (r.hits != null && !(Number.isFinite(r.hits) && r.hits >= 0)) problems.push('"hits" must be a non-negative number');
+    if (r.description != null && typeof r.description !== 'string') problems.push('"description" must be a string');
+    if (r.priority != null && !(typeof r.priority === 'string' && (PRIORITIES.includes(r.priority) || /^[A-Z]$/.test(r.priority)))) {
+        problems.push(`"priority" must be one of ${PRIORITIES.join(', ')}`);
+    }
+    for (const k of ['projects', 'contexts', 'tags', 'blockedBy']) {
+        if (r[k] != null && !(Array.isArray(r[k]) && r[k].every(v => typeof v === 'string'))) problems.push(`"${k}" must be a list of strings`);
+    }
+    for (const k of ['group', 'parentId']) {
+        if (r[k] != null && typeof r[k] !== 'string') problems.push(`"${k}" must be a string`);
+    }
+    if (r.extras != null && (typeof r.extras !== 'object' || Array.isArray(r.extras))) problems.push('"extras" must be an object');
+    if (r.subtasks != null && !(Array.isArray(r.subtasks) && r.subtasks.every(s => s && typeof s.text === 'string'))) {
+        problems.push('"subtasks" must be a list of { text, done }');
+    }
+    if (r.recurrence != null && (typeof r.recurrence !== 'object' || Array.isArray(r.recurrence))) problems.push('"recurrence" must be an object');
+    if (r.dueTime != null && !/^\d{1,2}:\d{2}$/.test(String(r.dueTime))) problems.push('"dueTime" must be HH:MM');
+    if (r.focus != null && (typeof r.focus !== 'object' || Array.isArray(r.focus))) problems.push('"focus" must be an object');
+    if (r.completions != null && !(Array.isArray(r.completions) && r.completions.every(v => typeof v === 'string' && validDate(v)))) {
+        problems.push('"completions" must be a list of dates');
+    }
+    if (r.reminder != null && !(typeof r.reminder === 'object' && Number.isFinite(r.reminder.lead))) problems.push('"reminder" must be { lead, sent }');
+    for (const k of ['due', 'createdAt', 'completedAt', 'regrowAt', 'archivedAt']) {
+        if (!validDate(r[k])) problems.push(`"${k}" is not a valid date`);
+    }
+    return problems;
+}
+
+/**
+ * parseGardenFile(text)
+ * Accepts our export format as well as a raw saved envelope or a legacy v1 array.
+ * returns { garden, tasks, errors } where errors is [{ index, text, problems }] for skipped entries.
+ * Throws when the file as a whole isn't a garden (bad JSON, wrong shape).
+ */
+export function parseGardenFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not valid JSON: ${e.message}`);
+    }
+
+    let rawTasks, rawGarden = {};
+    if (Array.isArray(data)) {
+        rawTasks = data;
+    } else if (data && typeof data === 'object' && Array.isArray(data.tasks)) {
+        if (Number.isInteger(data.version) && data.version > SCHEMA_VERSION) {
+            throw new Error(`File is schema v${data.version}, this build only understands up to v${SCHEMA_VERSION}`);
+        }
+        rawTasks = data.tasks;
+        rawGarden = (data.garden && typeof data.garden === 'object') ? data.garden : {};
+    } else {
+        throw new Error('File does not contain a task list');
+    }
+
+    const tasks = [];
+    const errors = [];
+    rawTasks.forEach((r, index) => {
+        const problems = validateTaskEntry(r);
+        if (problems.length) {
+            errors.push({ index, text: (r && typeof r.text === 'string') ? r.text : null, problems });
+            return;
+        }
+        tasks.push(normalizeTask(r));
+    });
+
+    return { garden: createGardenMeta(rawGarden), tasks, errors };
+}
@@ -0,0 +1,228 @@
+import { normalizeTask } from '../storage/schema.js';
+import { priorityToICal, priorityFromICal } from '../model/priority.js';
+import { toDueDate } from '../model/deadline.js';
+
+/**
+ * iCalendar (RFC 5545) <-> task records.
+ * Export writes one VTODO per task; import reads VTODO and VEVENT components.
+ *
+ *   SUMMARY      <-> text
+ *   DESCRIPTION  <-> description
+ *   DUE          <-> due, dueTime   (all-day without a dueTime, local date-time with one;
+ *                                    VEVENT: DTSTART is used as the due date)
+ *   STATUS       <-> completed      (COMPLETED vs NEEDS-ACTION)
+ *   COMPLETED    <-> completedAt
+ *   CREATED      <-> createdAt
+ *   UID          <-> id
+ *   PRIORITY     <-> priority       (see model/priority.js)
+ *   CATEGORIES   <-> projects
+ */
+
+const PRODID = '-//TodoGarden//Todo Garden//EN';
+
+function escapeText(s = '') {
+    return String(s)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(s = '') {
+    return String(s).replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N') ? '\n' : c);
+}
+
+// lines longer than 75 octets are folded onto continuation lines that start with a space
+function foldLine(line) {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+    const out = [];
+    let cur = '';
+    let curLen = 0;
+    for (const ch of line) {
+        const len = new TextEncoder().encode(ch).length;
+        const limit = out.length ? 74 : 75;
+        if (curLen + len > limit) {
+            out.push(cur);
+            cur = '';
+            curLen = 0;
+        }
+        cur += ch;
+        curLen += len;
+    }
+    out.push(cur);
+    return out.join('\r\n ');
+}
+
+// Date -> 20240510T120000Z
+function formatDateTime(iso) {
+    return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// due dates come from a date picker (midnight UTC), so export them as all-day values
+function formatDate(iso) {
+    return new Date(iso).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// dueTime is a local "HH:MM" on the due day, so it goes out as a floating (local) date-time
+function formatDueDateTime(iso, time) {
+    return `${formatDate(iso)}T${time.replace(':', '')}00`;
+}
+
+/**
+ * parse DATE / DATE-TIME values:
+ *   20240510            all-day (treated as UTC midnight, same as the editor's date picker)
+ *   20240510T120000Z    UTC
+ *   20240510T120000     floating / TZID-qualified: interpreted in the local time zone
+ * returns an ISO string or null
+ */
+function parseDateValue(v) {
+    const m = String(v).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!m) return null;
+    const [, y, mo, d, h, mi, s, z] = m;
+    let t;
+    if (h == null) t = new Date(Date.UTC(+y, +mo - 1, +d));
+    else if (z) t = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+    else t = new Date(+y, +mo - 1, +d, +h, +mi, +s);
+    return Number.isNaN(t.getTime()) ? null : t.toISOString();
+}
+
+export function serializeICal(tasks) {
+    const stamp = formatDateTime(new Date().toISOString());
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN'];
+    for (const t of tasks) {
+        lines.push('BEGIN:VTODO');
+        lines.push(`UID:${t.id}`);
+        lines.push(`DTSTAMP:${stamp}`);
+        if (t.createdAt) lines.push(`CREATED:${formatDateTime(t.createdAt)}`);
+        lines.push(`SUMMARY:${escapeText(t.text)}`);
+        if (t.description) lines.push(`DESCRIPTION:${escapeText(t.description)}`);
+        if (t.due && t.dueTime) lines.push(`DUE:${formatDueDateTime(t.due, t.dueTime)}`);
+        else if (t.due) lines.push(`DUE;VALUE=DATE:${formatDate(t.due)}`);
+        const priority = priorityToICal(t.priority);
+        if (priority != null) lines.push(`PRIORITY:${priority}`);
+        if (t.projects && t.projects.length) lines.push(`CATEGORIES:${t.projects.map(escapeText).join(',')}`);
+        lines.push(`STATUS:${t.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        if (t.completed && t.completedAt) lines.push(`COMPLETED:${formatDateTime(t.completedAt)}`);
+        lines.push('END:VTODO');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// "NAME;PARAM=x:VALUE" -> { name, params, value }
+function parseContentLine(line) {
+    // the first ':' outside a quoted parameter value separates the value
+    let inQuote = false, idx = -1;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (c === '"') inQuote = !inQuote;
+        else if (c === ':' && !inQuote) { idx = i; break; }
+    }
+    if (idx < 0) return null;
+    const [name, ...paramParts] = line.slice(0, idx).split(';');
+    const params = {};
+    for (const p of paramParts) {
+        const eq = p.indexOf('=');
+        if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(idx + 1) };
+}
+
+// turn one VTODO/VEVENT property map into a task record (or a list of problems)
+function componentToTask(type, props) {
+    const problems = [];
+    const get = (n) => props[n] ? props[n].value : null;
+
+    const summary = get('SUMMARY');
+    if (!summary || !unescapeText(summary).trim()) problems.push('missing SUMMARY');
+
+    const dateProp = type === 'VEVENT' ? 'DTSTART' : 'DUE';
+    let due = null, dueTime = null;
+    if (get(dateProp)) {
+        due = parseDateValue(get(dateProp));
+        if (!due) problems.push(`${dateProp} is not a valid date`);
+        // a date-time becomes the local day plus a due time on it
+        else if (/T\d/.test(get(dateProp))) {
+            const at = new Date(due);
+            due = toDueDate(at);
+            dueTime = String(at.getHours()).padStart(2, '0') + ':' + String(at.getMinutes()).padStart(2, '0');
+        }
+    }
+    let completedAt = null;
+    if (get('COMPLETED')) {
+        completedAt = parseDateValue(get('COMPLETED'));
+        if (!completedAt) problems.push('COMPLETED is not a valid date');
+    }
+    if (problems.length) return { problems, text: summary ? unescapeText(summary) : null };
+
+    const status = (get('STATUS') || '').toUpperCase();
+    const completed = status === 'COMPLETED' || Boolean(completedAt);
+    const prio = parseInt(get('PRIORITY'), 10);
+
+    return {
+        task: normalizeTask({
+            id: get('UID') || undefined,
+            text: unescapeText(summary).trim(),
+            description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION')) : '',
+            due,
+            dueTime,
+            completed,
+            completedAt,
+            createdAt: get('CREATED') ? parseDateValue(get('CREATED')) : null,
+            priority: priorityFromICal(prio),
+            projects: get('CATEGORIES') ? get('CATEGORIES').split(/(?<!\\),/).map(c => unescapeText(c).trim()).filter(Boolean) : [],
+        }),
+    };
+}
+
+/**
+ * parseICal(text)
+ * returns { tasks, errors } with errors as [{ index, text, problems }] (index counts components).
+ * Throws if the text has no VCALENDAR in it.
+ */
+export function parseICal(text) {
+    // unfold: CRLF followed by a space or tab continues the previous line
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(l => l.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+        throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+    }
+
+    const tasks = [];
+    const errors = [];
+    let current = null; // { type, props }
+    let depth = 0;      // nesting inside the current component (VALARM etc.)
+    let index = 0;
+
+    for (const raw of lines) {
+        const line = raw.trimEnd();
+        if (!line) continue;
+        const cl = parseContentLine(line);
+        if (!cl) continue;
+
+        if (cl.name === 'BEGIN') {
+            const type = cl.value.toUpperCase();
+            if (!current && (type === 'VTODO' || type === 'VEVENT')) {
+                current = { type, props: {} };
+                depth = 0;
+            } else if (current) {
+                depth++;
+            }
+            continue;
+        }
+        if (cl.name === 'END') {
+            if (!current) continue;
+            if (depth > 0) { depth--; continue; }
+            const res = componentToTask(current.type, current.props);
+            if (res.task) tasks.push(res.task);
+            else errors.push({ index, text: res.text, problems: res.problems });
+            index++;
+            current = null;
+            continue;
+        }
+        // ignore properties of nested components (e.g. VALARM's DESCRIPTION)
+        if (current && depth === 0 && !current.props[cl.name]) current.props[cl.name] = cl;
+    }
+
+    return { tasks, errors };
+}
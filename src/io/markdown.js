@@ -0,0 +1,110 @@
+import { normalizeTask, createTaskId } from '../storage/schema.js';
+
+/**
+ * Markdown checklist <-> task records.
+ *
+ *   ## Work
+ *   - [ ] write report
+ *     - [x] collect numbers
+ *   - [x] send invoice
+ *
+ * - "- [ ]" items become weeds, "- [x]" items become flowers
+ * - headings (any level) start a group; items before the first heading are ungrouped
+ * - indented items are the subtasks (steps) of the top-level item above them; deeper levels are
+ *   flattened into the same list, since subtasks don't nest
+ */
+
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const ITEM_RE = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+// list items that look like they meant to be checkboxes but aren't valid ones
+const BROKEN_ITEM_RE = /^\s*[-*+]\s+\[[^\]]{0,3}\]/;
+
+function indentWidth(ws) {
+    return ws.replace(/\t/g, '    ').length;
+}
+
+/**
+ * parseMarkdownChecklist(text)
+ * returns { tasks, errors } with errors as [{ index, text, problems }] (index is the 0-based line number)
+ */
+export function parseMarkdownChecklist(text) {
+    const tasks = [];
+    const errors = [];
+    let group = null;
+    let current = null; // { indent, task } last top-level item, which takes the indented ones as subtasks
+
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        const h = line.match(HEADING_RE);
+        if (h) {
+            group = h[2].trim() || null;
+            current = null;
+            return;
+        }
+
+        const m = line.match(ITEM_RE);
+        if (!m) {
+            if (BROKEN_ITEM_RE.test(line)) {
+                errors.push({ index, text: line.trim(), problems: ['checkbox must be "[ ]" or "[x]"'] });
+            }
+            return;
+        }
+
+        const [, ws, mark, body] = m;
+        const itemText = body.trim();
+        if (!itemText) {
+            errors.push({ index, text: null, problems: ['empty checklist item'] });
+            return;
+        }
+
+        const indent = indentWidth(ws);
+        if (current && indent > current.indent) {
+            current.task.subtasks.push({ id: createTaskId(), text: itemText, done: mark !== ' ' });
+            return;
+        }
+
+        current = {
+            indent,
+            task: {
+                text: itemText,
+                completed: mark !== ' ',
+                completedAt: mark !== ' ' ? new Date().toISOString() : null,
+                group,
+                subtasks: [],
+            },
+        };
+        tasks.push(current.task);
+    });
+
+    return { tasks: tasks.map(t => normalizeTask(t)), errors };
+}
+
+/**
+ * serializeMarkdownChecklist(tasks)
+ * Ungrouped tasks come first, then one "## group" section per group (in first-seen order).
+ * Every task is a top-level item with its subtasks (steps) indented under it, which is what
+ * parseMarkdownChecklist() reads back.
+ */
+export function serializeMarkdownChecklist(tasks) {
+    const groups = new Map(); // group name (or '') -> tasks
+    groups.set('', []);
+    for (const t of tasks) {
+        const key = t.group || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+    }
+
+    const oneLine = (text) => String(text || '').replace(/\s*\r?\n\s*/g, ' ').trim();
+    const lines = [];
+    for (const [name, list] of groups) {
+        if (!list.length) continue;
+        if (name) {
+            if (lines.length) lines.push('');
+            lines.push(`## ${name}`, '');
+        }
+        for (const t of list) {
+            lines.push(`- [${t.completed ? 'x' : ' '}] ${oneLine(t.text)}`);
+            for (const s of t.subtasks || []) lines.push(`  - [${s.done ? 'x' : ' '}] ${oneLine(s.text)}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,141 @@
+import { normalizeTask } from '../storage/schema.js';
+import { normalizePriority, priorityToLetter } from '../model/priority.js';
+import { normalizeTag } from '../model/tagStyles.js';
+
+/**
+ * todo.txt <-> task records (see https://github.com/todotxt/todo.txt)
+ *
+ *   x 2024-05-02 2024-05-01 Call mom +Family @phone due:2024-05-10 pri:A
+ *   (A) 2024-05-01 Pay rent +Home due:2024-06-01 rec:1m
+ *
+ * - "x " prefix        -> completed (+ optional completion date, then creation date)
+ * - "(A) " prefix      -> priority (A urgent, B high, C-Z low; completed lines carry it as a pri:A tag instead).
+ *                         Letters past C are kept as extras.pri so they are written back as they were
+ * - +project / @context -> projects / contexts (pulled out of the text, appended again on export)
+ * - #tag               -> tags (same)
+ * - due:YYYY-MM-DD     -> due
+ * - any other key:value tag is kept verbatim in `extras` so it survives a round trip
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PRIORITY_RE = /^\(([A-Z])\)$/;
+// key:value where neither side contains a colon or whitespace (so "http://x" is left alone)
+const TAG_RE = /^([^\s:]+):([^\s:/][^\s:]*)$/;
+
+function dateToIso(d) {
+    if (!DATE_RE.test(d)) return null;
+    const t = new Date(d);
+    return Number.isNaN(t.getTime()) ? null : t.toISOString();
+}
+
+function isoToDate(iso) {
+    if (!iso) return null;
+    const t = new Date(iso);
+    return Number.isNaN(t.getTime()) ? null : t.toISOString().slice(0, 10);
+}
+
+// parse one line; returns a task record or null for blank lines
+export function parseTodoTxtLine(line) {
+    const words = String(line).trim().split(/\s+/).filter(Boolean);
+    if (!words.length) return null;
+
+    let i = 0;
+    let completed = false, completedAt = null, createdAt = null, priority = null;
+
+    if (words[i] === 'x') {
+        completed = true;
+        i++;
+        // completion date comes first, creation date (if any) second
+        if (words[i] && DATE_RE.test(words[i])) completedAt = dateToIso(words[i++]);
+        if (words[i] && DATE_RE.test(words[i])) createdAt = dateToIso(words[i++]);
+    } else {
+        const m = words[i].match(PRIORITY_RE);
+        if (m) { priority = m[1]; i++; }
+        if (words[i] && DATE_RE.test(words[i])) createdAt = dateToIso(words[i++]);
+    }
+
+    const textWords = [];
+    const projects = [];
+    const contexts = [];
+    const tags = [];
+    const extras = {};
+    let due = null;
+
+    for (; i < words.length; i++) {
+        const w = words[i];
+        if (w.length > 1 && w[0] === '+') { projects.push(w.slice(1)); continue; }
+        if (w.length > 1 && w[0] === '@') { contexts.push(w.slice(1)); continue; }
+        if (w.length > 1 && w[0] === '#' && normalizeTag(w)) { tags.push(w); continue; }
+        const tag = w.match(TAG_RE);
+        if (tag) {
+            const [, key, value] = tag;
+            if (key === 'due' && dateToIso(value)) { due = dateToIso(value); continue; }
+            if (key === 'pri' && /^[A-Z]$/.test(value) && !priority) { priority = value; continue; }
+            extras[key] = value;
+            continue;
+        }
+        textWords.push(w);
+    }
+
+    if (priority && priority !== priorityToLetter(priority)) extras.pri = priority;
+
+    return normalizeTask({
+        text: textWords.join(' ') || projects.concat(contexts, tags).join(' ') || 'Unnamed',
+        completed,
+        completedAt,
+        createdAt,
+        due,
+        priority: normalizePriority(priority),
+        projects,
+        contexts,
+        tags,
+        extras,
+    });
+}
+
+/**
+ * parseTodoTxt(text)
+ * returns { tasks, errors } (errors is always empty: every non-blank line is a valid task in todo.txt,
+ * but the shape matches the other importers)
+ */
+export function parseTodoTxt(text) {
+    const tasks = [];
+    for (const line of String(text).split(/\r?\n/)) {
+        const t = parseTodoTxtLine(line);
+        if (t) tasks.push(t);
+    }
+    return { tasks, errors: [] };
+}
+
+export function serializeTodoTxtLine(task) {
+    const parts = [];
+    const created = isoToDate(task.createdAt);
+    const extras = Object.assign({}, task.extras);
+    const letter = priorityToLetter(task.priority, extras.pri);
+    delete extras.pri;
+    if (task.completed) {
+        parts.push('x');
+        const done = isoToDate(task.completedAt);
+        // a creation date is only allowed after a completion date
+        if (done) parts.push(done);
+        if (done && created) parts.push(created);
+    } else {
+        if (letter) parts.push(`(${letter})`);
+        if (created) parts.push(created);
+    }
+
+    parts.push(String(task.text || '').replace(/\s+/g, ' ').trim());
+    for (const p of task.projects || []) parts.push(`+${p}`);
+    for (const c of task.contexts || []) parts.push(`@${c}`);
+    for (const t of task.tags || []) parts.push(`#${t}`);
+    const due = isoToDate(task.due);
+    if (due) parts.push(`due:${due}`);
+    if (task.completed && letter) parts.push(`pri:${letter}`);
+    for (const [k, v] of Object.entries(extras)) parts.push(`${k}:${v}`);
+
+    return parts.filter(Boolean).join(' ');
+}
+
+export function serializeTodoTxt(tasks) {
+    return tasks.map(serializeTodoTxtLine).join('\n') + '\n';
+}
@@ -7,6 +7,10 @@ import { Dialog } from './ui/dialog.js';
 import { Controls } from './ui/controls.js';
 import spriteSheetUrl from './resources/adventurer-v1.5-Sheet.png';
 import { createTree } from './tree.js';
+import { createStorage } from './storage/index.js';
+import { GardenRegistry } from './gardens.js';
+import { GardenSwitcher } from './ui/gardenSwitcher.js';
+import { TagStyles } from './model/tagStyles.js';
 
 // Constants
 const GRAVITY = 1200; // pixels / s^2
@@ -94,47 +98,125 @@ const PLAYER_JUMP_VEL = 1000;
     window.addEventListener('keydown', (e) => { keys[e.code] = true; });
     window.addEventListener('keyup', (e) => { keys[e.code] = false; });
 
-    const terrain = new Terrain(app, {
-        wavelength: 1000,
-        ampPixels: 100,
-        chunkWidthPx: 512,
-        sampleStep: 16,
-        seed: 42,
-        viewDistanceChunks: 3,
-    });
-    terrain.updateForX(player.x);
-    if (terrain.container.parent === app.stage) app.stage.removeChild(terrain.container);
-
-    const trees = [];
-    for (var i=0; i<1; i++) {
-        let treeX = i * 600;
-        let treeY = terrain.groundY(treeX) + 10;
-        const tree = createTree('tree' + i, {
-            height: 300 + Math.round(Math.random() * 200),
-            branchFactor: 3,
-            minBranchThickness: 1.8,
-            canopyDensity: 10 + Math.round(Math.random() * 20),
-            depth: 4,
-            x: treeX,
-            y: treeY
+    // ?storage=indexedDB|memory picks a different persistence backend (defaults to localStorage)
+    const storageKind = new URLSearchParams(window.location.search).get('storage') || 'localStorage';
+    const storage = createStorage(storageKind);
+    const gardens = await new GardenRegistry({ storage }).load();
+    // tag colors are shared by all gardens
+    const tagStyles = await new TagStyles({ storage }).load();
+
+    // ?sync=http://localhost:8787 (remembered in localStorage) turns on device sync; ?sync=off turns it off again
+    let syncEndpoint = null;
+    try {
+        const param = new URLSearchParams(window.location.search).get('sync');
+        if (param === 'off') localStorage.removeItem('todo-garden-sync-endpoint');
+        else if (param) localStorage.setItem('todo-garden-sync-endpoint', param);
+        syncEndpoint = localStorage.getItem('todo-garden-sync-endpoint');
+    } catch (e) { /* ignore */ }
+
+    function showSyncStatus(st) {
+        const pending = st.pending ? ` (${st.pending} pending)` : '';
+        if (st.state === 'syncing') controls.setStatus('⟳ syncing…');
+        else if (st.state === 'synced') controls.setStatus('✓ synced' + pending, 0xb8f5b0);
+        else if (st.state === 'offline') controls.setStatus('⚠ offline' + pending, 0xffdd66);
+        else if (st.state === 'error') controls.setStatus('✕ sync error' + pending, 0xff8a8a);
+        else controls.setStatus('sync' + pending);
+    }
+
+    // per-garden world: terrain, trees and weeds are rebuilt when switching gardens
+    let terrain = null;
+    let trees = [];
+    let weedManager = null;
+
+    function buildGarden(garden) {
+        terrain = new Terrain(app, {
+            wavelength: 1000,
+            ampPixels: 100,
+            chunkWidthPx: 512,
+            sampleStep: 16,
+            seed: garden.seed,
+            viewDistanceChunks: 3,
+        });
+        terrain.updateForX(player.x);
+        if (terrain.container.parent === app.stage) app.stage.removeChild(terrain.container);
+        // terrain sits behind the player; trees sit behind the terrain
+        world.addChildAt(terrain.container, 0);
+
+        trees = [];
+        garden.trees.forEach((t, i) => {
+            const tree = createTree(garden.id + ':tree' + i, {
+                height: t.height,
+                branchFactor: 3,
+                minBranchThickness: 1.8,
+                canopyDensity: t.canopyDensity,
+                depth: 4,
+                x: t.x,
+                y: terrain.groundY(t.x) + 10
+            });
+            world.addChildAt(tree, 0);
+            trees.push(tree);
+        });
+
+        // drop the player onto the new ground
+        player.y = terrain.groundY(player.x) - phys.height / 2;
+        phys.vy = 0;
+
+        weedManager = new WeedManager(app, world, player, terrain, {
+            storage,
+            storageKey: garden.storageKey,
+            gardenName: garden.name,
+            tagStyles,
+            onRevealWeed: (weed, opts = {}) => {
+                if (opts.movePlayer) movePlayerTo(weed.x - 70);
+                else panCameraTo(weed.x, weed.y - 60);
+            },
+            onHint: (text, seconds) => controls.hint(text, seconds),
+            sync: syncEndpoint ? { endpoint: syncEndpoint, gardenId: garden.id, onStatus: showSyncStatus } : null
         });
-        world.addChild(tree);
-        trees.push(tree);
+        return weedManager.ready;
     }
 
-    world.addChild(terrain.container);
-    world.addChild(player);
+    async function teardownGarden() {
+        if (!weedManager) return;
+        const flushed = weedManager.destroy();
+        weedManager = null;
+        for (const tree of trees) {
+            if (tree.parent) tree.parent.removeChild(tree);
+            tree.destroy({ children: true, texture: false, baseTexture: false });
+        }
+        trees = [];
+        if (terrain) {
+            if (terrain.container.parent) terrain.container.parent.removeChild(terrain.container);
+            terrain.container.destroy({ children: true, texture: false, baseTexture: false });
+            terrain.chunks.clear();
+            terrain = null;
+        }
+        await flushed;
+    }
 
-    const weedManager = new WeedManager(app, world, player, terrain);
+    world.addChild(player);
+    await buildGarden(gardens.active);
+
+    new GardenSwitcher(gardens, {
+        onSwitch: async (garden) => {
+            await teardownGarden();
+            await buildGarden(garden);
+        },
+        onRename: (garden) => { if (weedManager) weedManager.setGardenName(garden.name); },
+        flushActive: () => weedManager ? weedManager.flush() : null,
+        releaseActive: () => teardownGarden(),
+    });
 
     const onResize = () => {
         background.resize();
 
-        for (const g of terrain.chunks.values()) {
-            g.destroy({ children: true, texture: false, baseTexture: false });
+        if (terrain) {
+            for (const g of terrain.chunks.values()) {
+                g.destroy({ children: true, texture: false, baseTexture: false });
+            }
+            terrain.chunks.clear();
+            terrain.updateForX(player.x);
         }
-        terrain.chunks.clear();
-        terrain.updateForX(player.x);
 
         controls.resize();
     };
@@ -151,12 +233,27 @@ const PLAYER_JUMP_VEL = 1000;
         }
     });
 
-    const camera = { x: 0, y: 0, smooth: 0.05 };
+    // focus: world point the camera looks at instead of the player (until the player moves again)
+    const camera = { x: 0, y: 0, smooth: 0.05, focus: null };
+    function panCameraTo(x, y) {
+        camera.focus = { x, y };
+    }
+
+    // put the player down at x; the camera glides over from wherever it was
+    function movePlayerTo(x) {
+        player.x = x;
+        player.y = terrain.groundY(x) - phys.height / 2;
+        phys.vx = 0;
+        phys.vy = 0;
+        camera.focus = null;
+    }
+
     function updateCamera(dt) {
         const centerX = app.screen.width / 2;
         const centerY = app.screen.height / 2;
-        const targetX = centerX - player.x;
-        const targetY = centerY - player.y;
+        const look = camera.focus || player;
+        const targetX = centerX - look.x;
+        const targetY = centerY - look.y;
 
         const lerpFactor = 1 - Math.pow(1 - camera.smooth, Math.max(0, dt * 60));
 
@@ -248,6 +345,12 @@ const PLAYER_JUMP_VEL = 1000;
     app.ticker.add((delta) => {
         const dt = app.ticker.deltaMS / 1000;
         
+        // nothing to simulate while a garden switch is tearing down / rebuilding the world
+        if (!weedManager || !terrain) {
+            updateCamera(dt);
+            return;
+        }
+
         weedManager.update();
 
         for (const tree of trees) {
@@ -276,6 +379,7 @@ const PLAYER_JUMP_VEL = 1000;
         const speedMul = sprint ? SPRINT_MULTIPLIER : 1;
 
         phys.vx = move * PLAYER_SPEED * speedMul;
+        if (move !== 0) camera.focus = null;
 
         if ((keys['Space'] || keys['KeyW'] || keys['ArrowUp']) && phys.onGround) {
             phys.vy = -PLAYER_JUMP_VEL;
@@ -287,7 +391,8 @@ const PLAYER_JUMP_VEL = 1000;
         player.x += phys.vx * dt;
         player.y += phys.vy * dt;
 
-        terrain.updateForX(player.x);
+        // keep the ground under the view generated (the camera may be panning far from the player)
+        terrain.updateForX(app.screen.width / 2 - camera.x);
 
         const playerBottomX = player.x;
         const groundY = terrain.groundY(playerBottomX);
@@ -0,0 +1,48 @@
+/**
+ * Flower aging and composting.
+ *
+ * A bloomed flower ages from 0 (just bloomed) to 1 over the garden's compost period
+ * (garden.compostAfterDays); it wilts and drops petals on the way (see plants/flowerBush.js `age`).
+ * Once it is fully aged the task is composted: it gets an `archivedAt` time and leaves the world,
+ * keeping its record (bloom log, occurrences, focus time) in the archive until it is restored.
+ * Recurring tasks waiting to regrow are never composted.
+ *
+ * Composting is off (null) until the user picks a period in the archive view; flowers then still
+ * age over AGE_DAYS but stay in the garden.
+ */
+export const DEFAULT_COMPOST_DAYS = null;
+
+// how long a flower takes to wilt while composting is off
+export const AGE_DAYS = 7;
+
+// periods offered in the archive view (null: never)
+export const COMPOST_CHOICES = [1, 3, 7, 14, 30, null];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// a positive number of days, or null for "never" (also when unset or invalid)
+export function normalizeCompostDays(v) {
+    return (Number.isFinite(v) && v > 0) ? v : DEFAULT_COMPOST_DAYS;
+}
+
+export function describeCompostDays(days) {
+    if (days == null) return 'never';
+    return `after ${days} day${days === 1 ? '' : 's'}`;
+}
+
+// 0 (fresh) .. 1 (ready for the compost) for a completed task. Flowers from saves that predate
+// completedAt (v1) count from their last change instead.
+export function flowerAge(task, now = Date.now(), days = DEFAULT_COMPOST_DAYS) {
+    if (!task || !task.completed) return 0;
+    const since = task.completedAt || task.updatedAt || task.createdAt;
+    if (!since) return 0;
+    const span = (days ?? AGE_DAYS) * DAY_MS;
+    const age = (now - new Date(since).getTime()) / span;
+    return Math.max(0, Math.min(1, age || 0));
+}
+
+export function isCompostDue(task, now = Date.now(), days = DEFAULT_COMPOST_DAYS) {
+    if (days == null || !task.completed || task.archivedAt) return false;
+    if (task.recurrence && task.regrowAt) return false;
+    return flowerAge(task, now, days) >= 1;
+}
@@ -0,0 +1,58 @@
+/**
+ * How close a task is to its due date, for the deadline look of its weed.
+ *
+ * `due` is stored as the UTC midnight of the chosen calendar day (what <input type="date"> gives);
+ * the task counts as overdue once that day has ended in local time, or at `dueTime` ("HH:MM", local)
+ * when the task has one.
+ *
+ *   phase     none | far | near (<= 7 days) | soon (<= 3 days) | today | overdue
+ *   urgency   0 (a week or more away) .. 1 (due today or overdue)
+ */
+export const DEADLINE_WINDOW_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// a valid "HH:MM" time of day or null
+export function normalizeDueTime(v) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(v || '').trim());
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+    return m[1].padStart(2, '0') + ':' + m[2];
+}
+
+// when the task becomes overdue (local time) as a timestamp, or null: the end of the due day,
+// or the due time on that day
+export function dueEnd(due, time = null) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(due || ''));
+    if (!m) return null;
+    const t = normalizeDueTime(time);
+    if (t) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(t.slice(0, 2)), Number(t.slice(3))).getTime();
+    return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + 1).getTime();
+}
+
+// the stored `due` value for the local calendar day of `date`
+export function toDueDate(date) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString();
+}
+
+export function deadlineState(task, now = Date.now()) {
+    const none = { phase: 'none', urgency: 0, daysLeft: null, overdueDays: 0 };
+    if (!task || task.completed) return none;
+    const end = dueEnd(task.due, task.dueTime);
+    if (end == null) return none;
+    const daysLeft = (end - now) / DAY_MS;
+    if (daysLeft <= 0) return { phase: 'overdue', urgency: 1, daysLeft, overdueDays: Math.floor(-daysLeft) + 1 };
+    const urgency = Math.max(0, Math.min(1, (DEADLINE_WINDOW_DAYS - daysLeft) / (DEADLINE_WINDOW_DAYS - 1)));
+    let phase = 'far';
+    if (daysLeft <= 1) phase = 'today';
+    else if (daysLeft <= 3) phase = 'soon';
+    else if (daysLeft <= DEADLINE_WINDOW_DAYS) phase = 'near';
+    return { phase, urgency, daysLeft, overdueDays: 0 };
+}
+
+// thorn density for createBranchyWeed: none until the deadline is close
+export function thornLevel(state) {
+    if (!state) return 0;
+    if (state.phase === 'overdue' || state.phase === 'today') return 2;
+    return state.phase === 'soon' ? 1 : 0;
+}
@@ -0,0 +1,33 @@
+// Minimal event emitter (no DOM / Node dependencies so models can run anywhere).
+export class Emitter {
+    constructor() {
+        this._listeners = new Map(); // type -> Set of handlers
+    }
+
+    // returns an unsubscribe function
+    on(type, fn) {
+        if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+        this._listeners.get(type).add(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        const set = this._listeners.get(type);
+        if (set) set.delete(fn);
+    }
+
+    emit(type, payload) {
+        const set = this._listeners.get(type);
+        if (!set) return;
+        // copy so handlers can unsubscribe while being called
+        for (const fn of Array.from(set)) {
+            try {
+                fn(payload);
+            } catch (e) {
+                console.warn(`[emitter] "${type}" handler failed:`, e);
+            }
+        }
+    }
+}
+
+export default Emitter;
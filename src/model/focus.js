@@ -0,0 +1,161 @@
+import { Emitter } from './emitter.js';
+
+/**
+ * Pomodoro focus sessions on a task.
+ *
+ * Every finished pomodoro waters its weed once. The per-task log lives on the task:
+ *   focus: { pomodoros, focusedMs, sessions: [{ startedAt, endedAt, focusedMs, completed }] }
+ * where `completed` is false for a pomodoro that was stopped early (its time still counts).
+ */
+export const WORK_MS = 25 * 60 * 1000;
+export const BREAK_MS = 5 * 60 * 1000;
+
+// sessions kept per task (totals keep counting past this)
+export const MAX_FOCUS_SESSIONS = 100;
+
+function isoOrNull(v) {
+    const d = new Date(v);
+    return (v != null && !Number.isNaN(d.getTime())) ? d.toISOString() : null;
+}
+
+export function normalizeFocus(f) {
+    const count = (v) => (Number.isFinite(v) && v > 0) ? Math.floor(v) : 0;
+    if (!f || typeof f !== 'object') return { pomodoros: 0, focusedMs: 0, sessions: [] };
+    const sessions = Array.isArray(f.sessions) ? f.sessions
+        .filter(s => s && typeof s === 'object' && isoOrNull(s.startedAt))
+        .map(s => ({
+            startedAt: isoOrNull(s.startedAt),
+            endedAt: isoOrNull(s.endedAt),
+            focusedMs: count(s.focusedMs),
+            completed: Boolean(s.completed),
+        }))
+        .slice(-MAX_FOCUS_SESSIONS) : [];
+    return { pomodoros: count(f.pomodoros), focusedMs: count(f.focusedMs), sessions };
+}
+
+// the focus log with one more session added
+export function addFocusSession(focus, session) {
+    const f = normalizeFocus(focus);
+    return normalizeFocus({
+        pomodoros: f.pomodoros + (session.completed ? 1 : 0),
+        focusedMs: f.focusedMs + session.focusedMs,
+        sessions: f.sessions.concat(session),
+    });
+}
+
+// "1h 05m", "12m", "0m"
+export function formatDuration(ms) {
+    const minutes = Math.floor(Math.max(0, ms) / 60000);
+    const h = Math.floor(minutes / 60), m = minutes % 60;
+    return h ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m`;
+}
+
+// "24:59"
+export function formatClock(ms) {
+    const s = Math.ceil(Math.max(0, ms) / 1000);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * FocusTimer
+ * A 25/5 pomodoro cycle on one task, driven by the real clock through tick(now).
+ *   phase   'idle' | 'work' | 'break' | 'ready' (break over, waiting for the next pomodoro)
+ * Events:
+ *   'changed'   after any state change
+ *   'session'   { taskId, startedAt, endedAt, focusedMs, completed } when a work period ends or is stopped
+ */
+export class FocusTimer extends Emitter {
+    // opts: { workMs, breakMs }
+    constructor(opts = {}) {
+        super();
+        this.workMs = opts.workMs ?? WORK_MS;
+        this.breakMs = opts.breakMs ?? BREAK_MS;
+        this._reset();
+    }
+
+    _reset() {
+        this.taskId = null;
+        this.phase = 'idle';
+        this.startedAt = null;  // when the current work period began
+        this.endsAt = null;     // end of the current work/break period
+        this.pausedAt = null;   // set while paused
+    }
+
+    get active() {
+        return this.phase !== 'idle';
+    }
+
+    get paused() {
+        return this.pausedAt != null;
+    }
+
+    remaining(now = Date.now()) {
+        if (this.endsAt == null) return 0;
+        return Math.max(0, this.endsAt - (this.pausedAt ?? now));
+    }
+
+    // start a pomodoro on a task (ends any session on another task first)
+    start(taskId, now = Date.now()) {
+        if (this.active && this.taskId !== taskId) this.stop(now);
+        this.taskId = taskId;
+        this.phase = 'work';
+        this.startedAt = now;
+        this.endsAt = now + this.workMs;
+        this.pausedAt = null;
+        this.emit('changed', {});
+    }
+
+    pause(now = Date.now()) {
+        if (!this.active || this.paused || this.phase === 'ready') return;
+        this.pausedAt = now;
+        this.emit('changed', {});
+    }
+
+    resume(now = Date.now()) {
+        if (!this.paused) return;
+        this.endsAt += now - this.pausedAt;
+        this.pausedAt = null;
+        this.emit('changed', {});
+    }
+
+    // give up: a running work period is logged with the time spent so far
+    stop(now = Date.now()) {
+        if (!this.active) return;
+        if (this.phase === 'work') {
+            const focusedMs = this.workMs - this.remaining(now);
+            if (focusedMs > 0) this._session(now, focusedMs, false);
+        }
+        this._reset();
+        this.emit('changed', {});
+    }
+
+    // end the break early
+    skipBreak(now = Date.now()) {
+        if (this.phase === 'break' || this.phase === 'ready') this.start(this.taskId, now);
+    }
+
+    tick(now = Date.now()) {
+        if (!this.active || this.paused || this.endsAt == null || now < this.endsAt) return;
+        if (this.phase === 'work') {
+            this._session(this.endsAt, this.workMs, true);
+            this.phase = 'break';
+            this.endsAt = this.endsAt + this.breakMs;
+        } else if (this.phase === 'break') {
+            this.phase = 'ready';
+            this.endsAt = null;
+        }
+        this.emit('changed', {});
+    }
+
+    _session(endedAt, focusedMs, completed) {
+        this.emit('session', {
+            taskId: this.taskId,
+            startedAt: new Date(this.startedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            focusedMs,
+            completed,
+        });
+    }
+}
+
+export default FocusTimer;
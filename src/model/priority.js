@@ -0,0 +1,78 @@
+/**
+ * Priority levels and how they show up in the garden.
+ *
+ * Stored as one of PRIORITIES; todo.txt letters and iCalendar numbers are mapped on import/export:
+ *   urgent <-> (A) / PRIORITY 1     high <-> (B) / 3     normal <-> none / none     low <-> (C) / 7
+ * todo.txt letters D-Z also read as low; the importer keeps the letter so it is written back unchanged.
+ */
+export const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+export const DEFAULT_PRIORITY = 'normal';
+
+export const PRIORITY_LABELS = { low: 'Low', normal: 'Normal', high: 'High', urgent: 'Urgent' };
+
+// per level:
+//   plant     createBranchyWeed options
+//   waterings hits needed before the weed blooms
+//   sparkle   { rate: seconds between particle attempts, chance, color } (null: no sparkles)
+//   exclaim   { blink: blinks per second, scale, color } (null: no "!")
+export const PRIORITY_STYLES = {
+    low: {
+        plant: { baseLength: 12, maxDepth: 2, leafColor: 0x7fa37f },
+        waterings: 3,
+        sparkle: { rate: 0.6, chance: 0.4, color: 0xD8E8B0 },
+        exclaim: null,
+    },
+    normal: {
+        plant: { baseLength: 16, maxDepth: 3, leafColor: 0x2e8b57 },
+        waterings: 6,
+        sparkle: { rate: 0.25, chance: 0.8, color: 0xFFD87A },
+        exclaim: { blink: 2, scale: 1, color: 0xFFDD33 },
+    },
+    high: {
+        plant: { baseLength: 20, maxDepth: 3, leafColor: 0xb8860b },
+        waterings: 8,
+        sparkle: { rate: 0.15, chance: 0.9, color: 0xFFB347 },
+        exclaim: { blink: 3, scale: 1.2, color: 0xFF9900 },
+    },
+    urgent: {
+        plant: { baseLength: 24, maxDepth: 4, leafColor: 0xb03a2e },
+        waterings: 10,
+        sparkle: { rate: 0.08, chance: 1, color: 0xFF6655 },
+        exclaim: { blink: 5, scale: 1.5, color: 0xFF3B30 },
+    },
+};
+
+// a priority level from a level name or a todo.txt letter (A urgent, B high, C-Z low); normal otherwise
+export function normalizePriority(v) {
+    if (typeof v !== 'string') return DEFAULT_PRIORITY;
+    const s = v.trim();
+    if (PRIORITIES.includes(s.toLowerCase())) return s.toLowerCase();
+    if (/^[A-Z]$/.test(s)) return s === 'A' ? 'urgent' : s === 'B' ? 'high' : 'low';
+    return DEFAULT_PRIORITY;
+}
+
+export function priorityStyle(level) {
+    return PRIORITY_STYLES[normalizePriority(level)];
+}
+
+// todo.txt letter for a level (null for normal); `original` is the letter the task was imported
+// with, used as long as it still means the same level (so (D) stays (D))
+export function priorityToLetter(level, original = null) {
+    const p = normalizePriority(level);
+    if (typeof original === 'string' && /^[A-Z]$/.test(original) && normalizePriority(original) === p) return original;
+    return { urgent: 'A', high: 'B', low: 'C' }[p] || null;
+}
+
+// iCalendar PRIORITY (1 highest .. 9 lowest); null for normal, which is written without one
+export function priorityToICal(level) {
+    return { urgent: 1, high: 3, normal: null, low: 7 }[normalizePriority(level)];
+}
+
+export function priorityFromICal(n) {
+    if (!(n >= 1 && n <= 9)) return DEFAULT_PRIORITY;
+    if (n <= 2) return 'urgent';
+    if (n <= 4) return 'high';
+    if (n === 5) return 'normal';
+    return 'low';
+}
@@ -0,0 +1,234 @@
+import { PRIORITIES } from './priority.js';
+import { normalizeTags } from './tagStyles.js';
+import { normalizeRecurrence, nextOccurrence } from './recurrence.js';
+import { toDueDate } from './deadline.js';
+
+/**
+ * Quick-add parsing for the plant dialog: "pay rent tomorrow 5pm !high #home every month"
+ * becomes { text: 'pay rent', due, dueTime: '17:00', priority: 'high', tags: ['home'],
+ * recurrence: { freq: 'monthly', monthDay } }.
+ *
+ * Understood (English, case-insensitive, anywhere in the line):
+ *   dates       today, tonight, tomorrow, monday / next fri, in 3 days, in 2 weeks, next week,
+ *               next month, jan 5 / 5th january, 2026-03-01 (optionally after "on", "by" or "due")
+ *   times       5pm, 5:30 pm, 17:00, noon, midnight (optionally after "at" or "@"; a one-digit
+ *               24-hour time needs it: "at 9:30")
+ *   priority    !low !normal !high !urgent, or !! (high) and !!! (urgent)
+ *   tags        #word (starting with a letter, so "#42" stays in the title)
+ *   recurrence  every day / other day / weekday / week / month, every 3 days / 2 weeks,
+ *               every mon and thu; daily, weekly, monthly only at the end ("report weekly",
+ *               not "write weekly report")
+ * Only whole words count: "today's paper" has no due date.
+ * Whatever is left over is the title. Missing parts are null (tags: []).
+ */
+
+const WEEKDAY = 'sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?';
+const FULL_WEEKDAY = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday';
+const MONTH = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const weekdayIndex = (w) => ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(w.slice(0, 3).toLowerCase());
+const monthIndex = (w) => ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(w.slice(0, 3).toLowerCase());
+const count = (w) => COUNT_WORDS[w.toLowerCase()] ?? Number(w);
+
+function startOfDay(d) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+function addDays(d, n) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+}
+
+function addMonths(d, n) {
+    const m = d.getMonth() + n;
+    const last = new Date(d.getFullYear(), m + 1, 0).getDate();
+    return new Date(d.getFullYear(), m, Math.min(d.getDate(), last));
+}
+
+// the next given weekday strictly after today
+function nextWeekday(today, wd) {
+    return addDays(today, ((wd - today.getDay() + 6) % 7) + 1);
+}
+
+// month/day this year, or next year once it has passed
+function upcomingDate(today, month, day) {
+    if (day < 1 || day > 31) return null;
+    let d = new Date(today.getFullYear(), month, day);
+    if (d.getMonth() !== month) return null;
+    if (d < today) d = new Date(today.getFullYear() + 1, month, day);
+    return d;
+}
+
+function hhmm(h, m) {
+    if (h > 23 || m > 59) return null;
+    return String(h).padStart(2, '0') + ':' + String(m).padStart(2, '0');
+}
+
+// the input is padded with spaces, so words start after whitespace; they end at whitespace or
+// punctuation, but not at an apostrophe or a digit ("today's", "3:16" are left alone)
+const S = '(?<=\\s)';
+const E = '(?=[\\s,.;!?]|$)';
+// the bare words "daily", "weekly" and "monthly" only count at the end, where nothing but tags follows
+const TRAILING = '(?=(?:\\s+#\\S+)*\\s*$)';
+
+// each entry: [pattern, handler(match, today) => partial result]; tried in order, every match is cut out
+const RULES = [
+    // recurrence (before dates, so "every monday" isn't read as a due date)
+    [`${S}every\\s+day${E}`, () => ({ recurrence: { freq: 'daily' } })],
+    [`${S}every\\s+other\\s+day${E}`, () => ({ recurrence: { freq: 'days', every: 2 } })],
+    [`${S}every\\s+(?:weekday|work\\s*day)s?${E}`, () => ({ recurrence: { freq: 'weekly', weekdays: [1, 2, 3, 4, 5] } })],
+    [`${S}every\\s+(\\d+|two|three|four|five|six|seven|eight|nine|ten)\\s+(day|week)s?${E}`, (m) =>
+        ({ recurrence: { freq: 'days', every: count(m[1]) * (m[2].toLowerCase() === 'week' ? 7 : 1) } })],
+    [`${S}every\\s+((?:${WEEKDAY})s?(?:\\s*(?:,|and|&)\\s*(?:${WEEKDAY})s?)*)${E}`, (m) =>
+        ({ recurrence: { freq: 'weekly', weekdays: m[1].split(/\s*(?:,|and|&)\s*/).map(weekdayIndex) } })],
+    [`${S}every\\s+week${E}`, () => ({ recurrence: { freq: 'weekly' } })],
+    [`${S}every\\s+month${E}`, () => ({ recurrence: { freq: 'monthly' } })],
+
+    // dates
+    [`${S}(?:(?:on|by|due)\\s+)?(\\d{4})-(\\d{2})-(\\d{2})${E}`, (m) => {
+        const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+        return d.getMonth() === Number(m[2]) - 1 ? { date: d } : {};
+    }],
+    [`${S}(?:(?:by|due)\\s+)?today${E}`, (m, today) => ({ date: today })],
+    [`${S}tonight${E}`, (m, today) => ({ date: today, time: '20:00' })],
+    [`${S}(?:(?:by|due)\\s+)?(?:tomorrow|tmrw?)${E}`, (m, today) => ({ date: addDays(today, 1) })],
+    [`${S}(?:(?:by|due)\\s+)?in\\s+(\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\\s+(day|week|month)s?${E}`, (m, today) => {
+        const n = count(m[1]), unit = m[2].toLowerCase();
+        return { date: unit === 'month' ? addMonths(today, n) : addDays(today, unit === 'week' ? 7 * n : n) };
+    }],
+    [`${S}next\\s+week${E}`, (m, today) => ({ date: addDays(today, 7) })],
+    [`${S}next\\s+month${E}`, (m, today) => ({ date: addMonths(today, 1) })],
+    // short names ("sat", "sun") only after on/by/next..., so ordinary words aren't taken for days
+    [`${S}(?:(?:on|by|due|next|this)\\s+(${WEEKDAY})|(${FULL_WEEKDAY}))${E}`, (m, today) =>
+        ({ date: nextWeekday(today, weekdayIndex(m[1] || m[2])) })],
+    [`${S}(?:(?:on|by|due)\\s+)?(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?${E}`, (m, today) => {
+        const d = upcomingDate(today, monthIndex(m[1]), Number(m[2]));
+        return d ? { date: d } : {};
+    }],
+    [`${S}(?:(?:on|by|due)\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH})${E}`, (m, today) => {
+        const d = upcomingDate(today, monthIndex(m[2]), Number(m[1]));
+        return d ? { date: d } : {};
+    }],
+
+    // times
+    [`${S}(?:at\\s+|@\\s*)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)${E}`, (m) => {
+        let h = Number(m[1]);
+        if (h < 1 || h > 12) return {};
+        if (m[3].toLowerCase() === 'pm' && h !== 12) h += 12;
+        if (m[3].toLowerCase() === 'am' && h === 12) h = 0;
+        const time = hhmm(h, Number(m[2] || 0));
+        return time ? { time } : {};
+    }],
+    // 24-hour times need two hour digits ("17:00") or "at" / "@" ("at 9:30"), so "John 3:16" stays text
+    [`${S}(?:(?:at\\s+|@\\s*)([01]?\\d|2[0-3])|([01]\\d|2[0-3])):([0-5]\\d)${E}`, (m) =>
+        ({ time: hhmm(Number(m[1] ?? m[2]), Number(m[3])) })],
+    [`${S}(?:at\\s+)?noon${E}`, () => ({ time: '12:00' })],
+    [`${S}(?:at\\s+)?midnight${E}`, () => ({ time: '23:59' })],
+
+    // priority
+    [`${S}!(${PRIORITIES.join('|')})${E}`, (m) => ({ priority: m[1].toLowerCase() })],
+    [`${S}!!!${E}`, () => ({ priority: 'urgent' })],
+    [`${S}!!${E}`, () => ({ priority: 'high' })],
+
+    // bare recurrence words last, once everything else after them has been cut out
+    [`${S}daily${TRAILING}`, () => ({ recurrence: { freq: 'daily' } })],
+    [`${S}weekly${TRAILING}`, () => ({ recurrence: { freq: 'weekly' } })],
+    [`${S}monthly${TRAILING}`, () => ({ recurrence: { freq: 'monthly' } })],
+].map(([pattern, handler]) => [new RegExp(pattern, 'i'), handler]);
+
+const TAG = /(?:^|\s)#(\p{L}[\p{L}\p{N}_-]*)/u;
+
+/**
+ * parseQuickAdd(input, now)
+ * returns { text, due, dueTime, priority, tags, recurrence } where due is in the stored format
+ * (see deadline.js toDueDate), plus `parts`: the recognized pieces as typed, for the preview
+ */
+export function parseQuickAdd(input, now = new Date()) {
+    const today = startOfDay(now);
+    let rest = ' ' + String(input || '') + ' ';
+    const found = {};
+    const parts = [];
+
+    for (const [pattern, handler] of RULES) {
+        const m = pattern.exec(rest);
+        if (!m) continue;
+        const got = handler(m, today);
+        // the first date / time / ... wins; later matches of the same kind stay in the title
+        const keys = Object.keys(got).filter(k => found[k] === undefined);
+        if (!keys.length) continue;
+        for (const k of keys) found[k] = got[k];
+        parts.push(m[0].trim());
+        rest = rest.slice(0, m.index) + ' ' + rest.slice(m.index + m[0].length);
+    }
+
+    const tags = [];
+    for (let m = TAG.exec(rest); m; m = TAG.exec(rest)) {
+        tags.push(m[1]);
+        parts.push(m[0].trim());
+        rest = rest.slice(0, m.index) + ' ' + rest.slice(m.index + m[0].length);
+    }
+
+    let date = found.date ?? null;
+    // a bare time means the next time it comes around
+    if (!date && found.time) {
+        const [h, min] = found.time.split(':').map(Number);
+        date = new Date(today.getFullYear(), today.getMonth(), today.getDate(), h, min) > now ? today : addDays(today, 1);
+    }
+
+    // weekly / monthly without a day follow the due date (or today)
+    let recurrence = found.recurrence ?? null;
+    if (recurrence) {
+        const anchor = date || today;
+        if (recurrence.freq === 'weekly' && !recurrence.weekdays) recurrence = Object.assign({}, recurrence, { weekdays: [anchor.getDay()] });
+        if (recurrence.freq === 'monthly') recurrence = Object.assign({}, recurrence, { monthDay: anchor.getDate() });
+        recurrence = normalizeRecurrence(recurrence);
+        // a repeating task without a date is first due on its next occurrence (today included)
+        if (recurrence && !date) date = recurrence.freq === 'days' ? today : nextOccurrence(recurrence, addDays(today, -1));
+    }
+
+    return {
+        text: rest.replace(/\s+/g, ' ').trim(),
+        due: date ? toDueDate(date) : null,
+        dueTime: found.time ?? null,
+        priority: found.priority ?? null,
+        tags: normalizeTags(tags),
+        recurrence,
+        parts,
+    };
+}
+
+// list markers pasted along with meeting notes: "- ", "* ", "• ", "1. ", "2) ", "[ ] ", "- [ ] "
+const BULLET_RE = /^(?:[-*+•]\s+|\d+[.)]\s+)?(?:\[[ xX]?\]\s+)?/;
+
+function indentWidth(ws) {
+    return ws.replace(/\t/g, '    ').length;
+}
+
+/**
+ * parseBulkAdd(text, now)
+ * One task per non-empty line, each parsed like parseQuickAdd(). Lines indented deeper than the
+ * task above them become its subtasks (steps), as plain text.
+ * returns [{ ...parseQuickAdd() result, subtasks: [text] }]
+ */
+export function parseBulkAdd(text, now = new Date()) {
+    const items = [];
+    let top = null; // { indent, item } of the last task line
+    for (const line of String(text || '').split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        const indent = indentWidth(line.match(/^\s*/)[0]);
+        const body = line.trim().replace(BULLET_RE, '').trim();
+        if (!body) continue;
+        if (top && indent > top.indent) {
+            top.item.subtasks.push(body);
+            continue;
+        }
+        const item = Object.assign(parseQuickAdd(body, now), { subtasks: [] });
+        // a line that is nothing but a date or tag keeps its words as the title
+        if (!item.text) item.text = body;
+        items.push(item);
+        top = { indent, item };
+    }
+    return items;
+}
+
+export default parseQuickAdd;
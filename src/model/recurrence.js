@@ -0,0 +1,100 @@
+/**
+ * Recurrence rules for tasks that come back after being done.
+ *
+ * rule: { freq: 'daily' | 'weekly' | 'monthly' | 'days', every, weekdays, monthDay }
+ *   daily      every day
+ *   weekly     on `weekdays` (0 = Sunday ... 6 = Saturday)
+ *   monthly    on `monthDay` (clamped to the length of short months)
+ *   days       every `every` days, counted from the day it was last done
+ *
+ * Occurrences fall on the start of a local day; a recurring weed that bloomed regrows then.
+ */
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'days'];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// a valid rule or null
+export function normalizeRecurrence(rule) {
+    if (!rule || typeof rule !== 'object' || !FREQUENCIES.includes(rule.freq)) return null;
+    const out = { freq: rule.freq };
+    if (rule.freq === 'days') {
+        const n = Math.floor(Number(rule.every));
+        out.every = (Number.isFinite(n) && n >= 1) ? Math.min(n, 365) : 1;
+    } else if (rule.freq === 'weekly') {
+        const days = Array.isArray(rule.weekdays) ? rule.weekdays.filter(d => Number.isInteger(d) && d >= 0 && d <= 6) : [];
+        out.weekdays = Array.from(new Set(days)).sort((a, b) => a - b);
+        if (!out.weekdays.length) return null;
+    } else if (rule.freq === 'monthly') {
+        const d = Math.floor(Number(rule.monthDay));
+        out.monthDay = (Number.isFinite(d) && d >= 1 && d <= 31) ? d : 1;
+    }
+    return out;
+}
+
+function startOfDay(d) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+function addDays(d, n) {
+    // via the calendar rather than DAY_MS so DST changes don't shift the time of day
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+}
+
+function daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+}
+
+/**
+ * nextOccurrence(rule, after)
+ * returns the start (local time) of the first day after `after`'s day the rule falls on,
+ * or null for an invalid rule
+ */
+export function nextOccurrence(rule, after = new Date()) {
+    const r = normalizeRecurrence(rule);
+    if (!r) return null;
+    const day = startOfDay(after instanceof Date ? after : new Date(after));
+    switch (r.freq) {
+        case 'daily':
+            return addDays(day, 1);
+        case 'days':
+            return addDays(day, r.every);
+        case 'weekly':
+            for (let i = 1; i <= 7; i++) {
+                const d = addDays(day, i);
+                if (r.weekdays.includes(d.getDay())) return d;
+            }
+            return null;
+        case 'monthly': {
+            let y = day.getFullYear(), m = day.getMonth();
+            if (Math.min(r.monthDay, daysInMonth(y, m)) <= day.getDate()) {
+                m += 1;
+                if (m > 11) { m = 0; y += 1; }
+            }
+            return new Date(y, m, Math.min(r.monthDay, daysInMonth(y, m)));
+        }
+        default:
+            return null;
+    }
+}
+
+// short human description, e.g. "Every Mon, Thu"
+export function describeRecurrence(rule) {
+    const r = normalizeRecurrence(rule);
+    if (!r) return 'Never';
+    switch (r.freq) {
+        case 'daily': return 'Every day';
+        case 'days': return r.every === 1 ? 'Every day' : `Every ${r.every} days`;
+        case 'weekly': return 'Every ' + r.weekdays.map(d => WEEKDAY_NAMES[d]).join(', ');
+        case 'monthly': return `Monthly on day ${r.monthDay}`;
+        default: return 'Never';
+    }
+}
+
+// whole days from now until `when` (0 = today or overdue)
+export function daysUntil(when, now = new Date()) {
+    const t = new Date(when).getTime();
+    if (Number.isNaN(t)) return 0;
+    return Math.max(0, Math.ceil((startOfDay(new Date(t)).getTime() - startOfDay(now).getTime()) / DAY_MS));
+}
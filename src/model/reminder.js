@@ -0,0 +1,66 @@
+import { dueEnd } from './deadline.js';
+
+/**
+ * Per-task reminders for weeds with a due date.
+ *
+ * reminder: { lead, sent: { lead, overdue } } or null for no reminders
+ *   lead   minutes before the task becomes overdue (the end of its due day, or its due time) to send the first alert;
+ *          0 only sends the overdue one
+ *   sent   the due date (and time) each alert was last sent for, so moving the deadline (or a
+ *          recurring task regrowing with a new one) arms them again
+ */
+export const REMINDER_LEADS = [
+    [0, 'When overdue'],
+    [60, '1 hour before'],
+    [180, '3 hours before'],
+    [24 * 60, '1 day before'],
+    [2 * 24 * 60, '2 days before'],
+    [7 * 24 * 60, '1 week before'],
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// a valid reminder or null
+export function normalizeReminder(r) {
+    if (!r || typeof r !== 'object') return null;
+    const lead = Math.floor(Number(r.lead));
+    if (!Number.isFinite(lead) || lead < 0) return null;
+    const sent = (r.sent && typeof r.sent === 'object') ? r.sent : {};
+    const str = (v) => (typeof v === 'string' && v) ? v : null;
+    return { lead: Math.min(lead, 365 * 24 * 60), sent: { lead: str(sent.lead), overdue: str(sent.overdue) } };
+}
+
+export function describeLead(lead) {
+    const known = REMINDER_LEADS.find(([m]) => m === lead);
+    if (known) return known[1];
+    return lead % 60 ? `${lead} minutes before` : `${lead / 60} hours before`;
+}
+
+// what `sent` records: the due value, plus the time when there is one
+function dueKey(task) {
+    return task.dueTime ? `${task.due}@${task.dueTime}` : task.due;
+}
+
+/**
+ * nextReminder(task)
+ * returns { kind: 'lead' | 'overdue', at: timestamp } for the next alert that hasn't been sent
+ * for the current due date, or null when there is nothing left to send
+ */
+export function nextReminder(task) {
+    const r = task && !task.completed ? task.reminder : null;
+    if (!r || !task.due) return null;
+    const end = dueEnd(task.due, task.dueTime);
+    if (end == null || r.sent.overdue === dueKey(task)) return null;
+    if (r.lead > 0 && r.sent.lead !== dueKey(task)) return { kind: 'lead', at: end - r.lead * MINUTE_MS };
+    return { kind: 'overdue', at: end };
+}
+
+// the reminder after the `kind` alert went out for the task's current due date
+export function markSent(task, kind) {
+    const r = normalizeReminder(task.reminder);
+    if (!r) return null;
+    r.sent[kind] = dueKey(task);
+    // the overdue alert supersedes a lead alert that never got its turn
+    if (kind === 'overdue') r.sent.lead = dueKey(task);
+    return r;
+}
@@ -0,0 +1,124 @@
+import { deadlineState, dueEnd } from './deadline.js';
+
+/**
+ * Productivity numbers for the stats screen, worked out from the bloom log on each task
+ * (`completions`, appended by TaskStore.complete()). Days and weeks are local; weeks start on Monday.
+ *
+ *   perDay / perWeek    [{ start: Date, count }] oldest first, ending with today / this week
+ *   currentStreak       days in a row with a bloom, up to today (or yesterday, while today is still open)
+ *   longestStreak       best run of such days
+ *   avgBloomMs          average time from planting a task to its first bloom (null before any bloom)
+ *   overdue             open tasks past their due date right now
+ *   lateBlooms          blooms that came after the due date they were for
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// local calendar day "YYYY-MM-DD"
+export function dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function startOfDay(date) {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+function addDays(date, n) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+
+function startOfWeek(date) {
+    const d = startOfDay(date);
+    return addDays(d, -((d.getDay() + 6) % 7));
+}
+
+// longest run of consecutive days in a sorted list of day keys
+function longestRun(days) {
+    let best = 0, run = 0, prev = null;
+    for (const key of days) {
+        const day = new Date(key + 'T00:00:00');
+        run = (prev && Math.round((day - prev) / DAY_MS) === 1) ? run + 1 : 1;
+        best = Math.max(best, run);
+        prev = day;
+    }
+    return best;
+}
+
+// opts: { days: bars in perDay, weeks: bars in perWeek }
+export function computeStats(tasks, now = new Date(), opts = {}) {
+    const days = opts.days ?? 14;
+    const weeks = opts.weeks ?? 8;
+    const today = startOfDay(now);
+
+    const blooms = [];
+    let planted = 0, plantedMs = 0, lateBlooms = 0;
+    for (const t of tasks) {
+        for (const at of t.completions) blooms.push(new Date(at));
+        if (t.completions.length && t.createdAt) {
+            const ms = new Date(t.completions[0]) - new Date(t.createdAt);
+            if (ms >= 0) {
+                planted++;
+                plantedMs += ms;
+            }
+        }
+        // recurring tasks remember the due date of each bloom; others only the last one
+        if (t.recurrence) {
+            for (const o of t.occurrences) {
+                const end = dueEnd(o.due, t.dueTime);
+                if (end != null && new Date(o.completedAt).getTime() > end) lateBlooms++;
+            }
+        } else if (t.completed && t.completedAt) {
+            const end = dueEnd(t.due, t.dueTime);
+            if (end != null && new Date(t.completedAt).getTime() > end) lateBlooms++;
+        }
+    }
+
+    const perDayCount = new Map();
+    for (const d of blooms) perDayCount.set(dayKey(d), (perDayCount.get(dayKey(d)) || 0) + 1);
+
+    const perDay = [];
+    for (let i = days - 1; i >= 0; i--) {
+        const start = addDays(today, -i);
+        perDay.push({ start, count: perDayCount.get(dayKey(start)) || 0 });
+    }
+    const perWeek = [];
+    const thisWeek = startOfWeek(now);
+    for (let i = weeks - 1; i >= 0; i--) {
+        const start = addDays(thisWeek, -7 * i);
+        const end = addDays(start, 7);
+        perWeek.push({ start, count: blooms.filter(d => d >= start && d < end).length });
+    }
+
+    const bloomDays = Array.from(perDayCount.keys()).sort();
+    let currentStreak = 0;
+    let day = perDayCount.has(dayKey(today)) ? today : addDays(today, -1);
+    while (perDayCount.has(dayKey(day))) {
+        currentStreak++;
+        day = addDays(day, -1);
+    }
+
+    const open = tasks.filter(t => !t.completed);
+    return {
+        totalBlooms: blooms.length,
+        today: perDay[perDay.length - 1].count,
+        thisWeek: perWeek[perWeek.length - 1].count,
+        perDay,
+        perWeek,
+        currentStreak,
+        longestStreak: longestRun(bloomDays),
+        avgBloomMs: planted ? plantedMs / planted : null,
+        open: open.length,
+        overdue: open.filter(t => deadlineState(t, now.getTime()).phase === 'overdue').length,
+        lateBlooms,
+    };
+}
+
+// "3 days", "5 h", "20 min"
+export function formatSpan(ms) {
+    if (ms == null) return '–';
+    const min = ms / 60000;
+    if (min < 60) return `${Math.max(1, Math.round(min))} min`;
+    if (min < 60 * 48) return `${Math.round(min / 60)} h`;
+    return `${Math.round(min / (60 * 24))} days`;
+}
@@ -0,0 +1,152 @@
+import { Emitter } from './emitter.js';
+
+/**
+ * Tags (#work, #home, ...) and the table that maps them to plant colors.
+ *
+ * A style is { leafColor, trunkColor, petalColor, centerColor } (0xRRGGBB numbers): the first two
+ * go to createBranchyWeed, the last two to createFlowerBush. A task takes the style of its first
+ * tag that has an entry in the table; tags without an entry get a stable color derived from the name.
+ * The table is shared by all gardens and saved under TAG_STYLES_KEY.
+ */
+export const TAG_STYLES_KEY = 'todo-garden-tag-styles';
+
+export const DEFAULT_TAG_STYLES = {
+    work: { leafColor: 0x3b6fae, trunkColor: 0x2f3f57, petalColor: 0x6fa8ff, centerColor: 0xf4f4f4 },
+    home: { leafColor: 0x4c9a2a, trunkColor: 0x6b3a1a, petalColor: 0xffa94d, centerColor: 0xfff1a8 },
+    errands: { leafColor: 0x8e5cc2, trunkColor: 0x4b3360, petalColor: 0xd6a2ff, centerColor: 0xffd24d },
+};
+
+const STYLE_KEYS = ['leafColor', 'trunkColor', 'petalColor', 'centerColor'];
+
+// "#Work Stuff" -> "work-stuff"; null when nothing usable is left
+export function normalizeTag(s) {
+    if (typeof s !== 'string') return null;
+    const t = s.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_-]/gu, '');
+    return t || null;
+}
+
+export function normalizeTags(list) {
+    if (!Array.isArray(list)) return [];
+    return Array.from(new Set(list.map(normalizeTag).filter(Boolean)));
+}
+
+export function colorToHex(n) {
+    return '#' + (Number(n) >>> 0 & 0xffffff).toString(16).padStart(6, '0');
+}
+
+export function hexToColor(hex) {
+    const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim());
+    return m ? parseInt(m[1], 16) : null;
+}
+
+function hslToColor(h, s, l) {
+    const k = (n) => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) => Math.round(255 * (l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)))));
+    return (f(0) << 16) | (f(8) << 8) | f(4);
+}
+
+// stable colors for a tag that isn't in the table (hue from the name)
+export function generatedStyle(tag) {
+    let h = 2166136261 >>> 0;
+    for (let i = 0; i < tag.length; i++) {
+        h ^= tag.charCodeAt(i);
+        h = Math.imul(h, 16777619) >>> 0;
+    }
+    const hue = h % 360;
+    return {
+        leafColor: hslToColor(hue, 0.45, 0.4),
+        trunkColor: hslToColor(hue, 0.3, 0.22),
+        petalColor: hslToColor(hue, 0.75, 0.72),
+        centerColor: hslToColor((hue + 180) % 360, 0.8, 0.7),
+    };
+}
+
+function normalizeStyle(style) {
+    if (!style || typeof style !== 'object') return null;
+    const out = {};
+    for (const k of STYLE_KEYS) {
+        if (Number.isInteger(style[k]) && style[k] >= 0 && style[k] <= 0xffffff) out[k] = style[k];
+    }
+    return Object.keys(out).length ? out : null;
+}
+
+/**
+ * TagStyles
+ * The configurable tag -> style table. Emits 'changed' after set()/remove() so views can repaint.
+ */
+export class TagStyles extends Emitter {
+    // opts: { storage: adapter (see storage/index.js), or none to keep the table in memory only }
+    constructor(opts = {}) {
+        super();
+        this.storage = opts.storage ?? null;
+        this.table = {};
+        for (const [tag, style] of Object.entries(DEFAULT_TAG_STYLES)) this.table[tag] = Object.assign({}, style);
+    }
+
+    async load() {
+        if (!this.storage) return this;
+        try {
+            const data = await this.storage.load(TAG_STYLES_KEY);
+            if (data && data.styles && typeof data.styles === 'object') {
+                this.table = {};
+                for (const [tag, style] of Object.entries(data.styles)) {
+                    const t = normalizeTag(tag), s = normalizeStyle(style);
+                    if (t && s) this.table[t] = s;
+                }
+            }
+        } catch (e) {
+            console.warn('[tags] could not read tag styles:', e);
+        }
+        return this;
+    }
+
+    save() {
+        if (!this.storage) return Promise.resolve();
+        return this.storage.save(TAG_STYLES_KEY, { version: 1, styles: this.table })
+            .catch((e) => console.warn('[tags] could not save tag styles:', e));
+    }
+
+    get tags() {
+        return Object.keys(this.table).sort();
+    }
+
+    // the table entry for a tag (null if it has none)
+    get(tag) {
+        const t = normalizeTag(tag);
+        return (t && this.table[t]) ? Object.assign({}, this.table[t]) : null;
+    }
+
+    // full style for one tag, falling back to generated colors
+    styleOf(tag) {
+        const t = normalizeTag(tag);
+        if (!t) return null;
+        return Object.assign(generatedStyle(t), this.table[t]);
+    }
+
+    // style for a task's tags: first tag with a table entry, else the first tag's generated colors
+    styleFor(tags) {
+        const list = normalizeTags(tags);
+        if (!list.length) return null;
+        const styled = list.find(t => this.table[t]);
+        return this.styleOf(styled || list[0]);
+    }
+
+    set(tag, style) {
+        const t = normalizeTag(tag), s = normalizeStyle(style);
+        if (!t || !s) return;
+        this.table[t] = Object.assign({}, this.table[t], s);
+        this.save();
+        this.emit('changed', { tag: t });
+    }
+
+    remove(tag) {
+        const t = normalizeTag(tag);
+        if (!t || !this.table[t]) return;
+        delete this.table[t];
+        this.save();
+        this.emit('changed', { tag: t });
+    }
+}
+
+export default TagStyles;
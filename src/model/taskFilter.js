@@ -0,0 +1,82 @@
+import { deadlineState } from './deadline.js';
+import { normalizeTag } from './tagStyles.js';
+
+/**
+ * Search filters over tasks (used by the search panel).
+ *
+ * filter: { text, tag, dueFrom, dueTo, state }
+ *   text      words that must all appear in the title, notes, steps or tags (case-insensitive)
+ *   tag       a single tag the task must carry
+ *   dueFrom   'YYYY-MM-DD', inclusive; tasks without a due date never match a due range
+ *   dueTo     'YYYY-MM-DD', inclusive
+ *   state     one of TASK_STATES
+ */
+export const TASK_STATES = ['all', 'open', 'done', 'overdue', 'blocked'];
+
+export const STATE_LABELS = { all: 'Any state', open: 'Open', done: 'Done', overdue: 'Overdue', blocked: 'Blocked' };
+
+export const EMPTY_FILTER = { text: '', tag: '', dueFrom: '', dueTo: '', state: 'all' };
+
+export function isEmptyFilter(filter) {
+    const f = Object.assign({}, EMPTY_FILTER, filter);
+    return !f.text.trim() && !f.tag && !f.dueFrom && !f.dueTo && f.state === 'all';
+}
+
+// ctx: { isBlocked(id), now }
+export function matchesFilter(task, filter, ctx = {}) {
+    const f = Object.assign({}, EMPTY_FILTER, filter);
+    const words = f.text.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length) {
+        const hay = [task.text, task.description, ...task.subtasks.map(s => s.text), ...task.tags.map(t => '#' + t)]
+            .join('\n').toLowerCase();
+        if (!words.every(w => hay.includes(w))) return false;
+    }
+    const tag = normalizeTag(f.tag);
+    if (tag && !task.tags.includes(tag)) return false;
+    if (f.dueFrom || f.dueTo) {
+        const day = task.due ? task.due.slice(0, 10) : null;
+        if (!day || (f.dueFrom && day < f.dueFrom) || (f.dueTo && day > f.dueTo)) return false;
+    }
+    switch (f.state) {
+        case 'open': return !task.completed;
+        case 'done': return task.completed;
+        case 'overdue': return deadlineState(task, ctx.now).phase === 'overdue';
+        case 'blocked': return !task.completed && Boolean(ctx.isBlocked && ctx.isBlocked(task.id));
+        default: return true;
+    }
+}
+
+// soonest due first (tasks without a date last), then by title
+export function compareByDue(a, b) {
+    const dueKey = (t) => t.due ? t.due.slice(0, 10) + (t.dueTime || '') : '\uffff';
+    return dueKey(a).localeCompare(dueKey(b)) || a.text.localeCompare(b.text);
+}
+
+// matching tasks: open ones first, then compareByDue
+export function filterTasks(tasks, filter, ctx = {}) {
+    return tasks
+        .filter(t => matchesFilter(t, filter, ctx))
+        .sort((a, b) => (a.completed - b.completed) || compareByDue(a, b));
+}
+
+// the task list's sections, in display order
+export const TASK_GROUPS = ['overdue', 'open', 'blocked', 'done'];
+
+export const GROUP_LABELS = { overdue: 'Overdue', open: 'Open', blocked: 'Waiting', done: 'Done' };
+
+// which section a task is listed under; an overdue task stays under Overdue even while blocked
+export function taskGroup(task, ctx = {}) {
+    if (task.completed) return 'done';
+    if (deadlineState(task, ctx.now).phase === 'overdue') return 'overdue';
+    if (ctx.isBlocked && ctx.isBlocked(task.id)) return 'blocked';
+    return 'open';
+}
+
+// { overdue: [task], open: [...], blocked: [...], done: [...] }, each sorted by compareByDue
+export function groupTasks(tasks, ctx = {}) {
+    const groups = {};
+    for (const g of TASK_GROUPS) groups[g] = [];
+    for (const t of tasks) groups[taskGroup(t, ctx)].push(t);
+    for (const g of TASK_GROUPS) groups[g].sort(compareByDue);
+    return groups;
+}
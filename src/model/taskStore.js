@@ -0,0 +1,354 @@
+import { Emitter } from './emitter.js';
+import { SCHEMA_VERSION, MAX_OCCURRENCES, MAX_COMPLETIONS, normalizeTask, normalizeDeleted } from '../storage/schema.js';
+import { nextOccurrence } from './recurrence.js';
+import { toDueDate } from './deadline.js';
+import { isCompostDue } from './compost.js';
+import { compareStamps, stampOf, contentKey } from '../sync/stamps.js';
+import { SYNC_FIELDS, changedFields, mergeFields, latestFieldTime } from '../sync/fieldMerge.js';
+
+// tombstones of deleted tasks are kept this long so other tabs/devices can learn about the delete
+export const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// fields a task can change after it was created (everything except id and the stamp fields)
+const TASK_FIELDS = ['createdAt', ...SYNC_FIELDS];
+
+function same(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// { done, total } over a task's subtasks
+export function subtaskProgress(task) {
+    const list = (task && task.subtasks) || [];
+    return { done: list.filter(s => s.done).length, total: list.length };
+}
+
+// a task with steps can only be completed once every step is done
+export function canComplete(task) {
+    const { done, total } = subtaskProgress(task);
+    return done === total;
+}
+
+// records are plain JSON data (storage/schema.js shape)
+function cloneTask(t) {
+    return JSON.parse(JSON.stringify(t));
+}
+
+/**
+ * TaskStore
+ * The garden's tasks as plain records, independent of any renderer (runs in Node too).
+ * Views subscribe to changes instead of owning the data:
+ *
+ *   added      { task, source }
+ *   updated    { task, prev, fields, source }   fields: names of the fields that changed
+ *   completed  { task, source }                 after 'updated', when a task became completed
+ *   removed    { task, source }
+ *
+ * `source` says where a change came from: 'local', 'load', 'import', 'history' or 'remote'.
+ * Records handed out by get()/list() are live; treat them as read-only and go through update().
+ *
+ * The store also keeps the sync bookkeeping (tombstones, rev stamps, per-field merges) so tabs,
+ * devices and tests can work on tasks without a garden on screen.
+ */
+export class TaskStore extends Emitter {
+    constructor() {
+        super();
+        this.tasks = new Map();     // id -> record, in insertion order
+        this.deleted = {};          // tombstones: id -> stamp
+        this._synced = new Map();   // id -> { key, rev, record } as of the last stamp / merge
+    }
+
+    get size() {
+        return this.tasks.size;
+    }
+
+    get(id) {
+        return this.tasks.get(id) || null;
+    }
+
+    has(id) {
+        return this.tasks.has(id);
+    }
+
+    list() {
+        return Array.from(this.tasks.values());
+    }
+
+    // open tasks that `id` is waiting on (blockers that are done or were deleted don't count)
+    blockersOf(id) {
+        const t = this.tasks.get(id);
+        if (!t) return [];
+        return t.blockedBy.map(b => this.tasks.get(b)).filter(b => b && !b.completed);
+    }
+
+    isBlocked(id) {
+        return this.blockersOf(id).length > 0;
+    }
+
+    // whether making `blockerId` block `id` would close a loop (the blocker already waits on `id`)
+    wouldCycle(id, blockerId) {
+        const seen = new Set();
+        const stack = [blockerId];
+        while (stack.length) {
+            const cur = stack.pop();
+            if (cur === id) return true;
+            if (seen.has(cur)) continue;
+            seen.add(cur);
+            const t = this.tasks.get(cur);
+            if (t) stack.push(...t.blockedBy);
+        }
+        return false;
+    }
+
+    // detached copy of a task, or null
+    toRecord(id) {
+        const t = this.tasks.get(id);
+        return t ? cloneTask(t) : null;
+    }
+
+    // id -> record copies, for diffing (see history.js)
+    snapshot() {
+        return new Map(this.list().map(t => [t.id, cloneTask(t)]));
+    }
+
+    add(fields = {}, opts = {}) {
+        const task = normalizeTask(fields);
+        if (this.tasks.has(task.id)) throw new Error(`Task ${task.id} already exists`);
+        this.tasks.set(task.id, task);
+        this.emit('added', { task, source: opts.source ?? 'local' });
+        return task;
+    }
+
+    // patch: any subset of task fields. opts.stamps: also take rev/updatedAt/updatedBy/fieldTimes
+    // from the patch (remote merges); otherwise they are left for the next stampChanges()
+    update(id, patch = {}, opts = {}) {
+        const cur = this.tasks.get(id);
+        if (!cur) return null;
+        const next = normalizeTask(Object.assign(cloneTask(cur), patch, { id }));
+        if (!opts.stamps) {
+            Object.assign(next, stampOf(cur));
+            next.fieldTimes = Object.assign({}, cur.fieldTimes);
+        }
+        const fields = TASK_FIELDS.filter(f => !same(cur[f], next[f]));
+        if (!fields.length) {
+            if (opts.stamps) Object.assign(cur, stampOf(next), { fieldTimes: next.fieldTimes });
+            return cur;
+        }
+        this.tasks.set(id, next);
+        const source = opts.source ?? 'local';
+        this.emit('updated', { task: next, prev: cur, fields, source });
+        if (next.completed && !cur.completed) this.emit('completed', { task: next, source });
+        return next;
+    }
+
+    // returns null when the task has unfinished subtasks.
+    // Every bloom is logged in completions; recurring tasks also log the occurrence and get a
+    // regrowAt (see regrowDue()).
+    complete(id, opts = {}) {
+        const t = this.tasks.get(id);
+        if (!t || t.completed) return t || null;
+        if (!canComplete(t)) return null;
+        const now = opts.now ?? new Date();
+        const completedAt = now.toISOString();
+        const patch = { completed: true, completedAt, completions: t.completions.concat(completedAt).slice(-MAX_COMPLETIONS) };
+        if (t.recurrence) {
+            const next = nextOccurrence(t.recurrence, now);
+            patch.regrowAt = next ? next.toISOString() : null;
+            patch.occurrences = t.occurrences.concat({ due: t.due, completedAt: patch.completedAt }).slice(-MAX_OCCURRENCES);
+        }
+        return this.update(id, patch, opts);
+    }
+
+    // back to an open weed that has to be watered from scratch
+    reopen(id, opts = {}) {
+        const t = this.tasks.get(id);
+        if (!t || !t.completed) return t || null;
+        const patch = { completed: false, completedAt: null, hits: 0, regrowAt: null };
+        // taking back a completion also takes back its occurrence and log entries
+        const last = t.occurrences[t.occurrences.length - 1];
+        if (last && last.completedAt === t.completedAt) patch.occurrences = t.occurrences.slice(0, -1);
+        if (t.completions[t.completions.length - 1] === t.completedAt) patch.completions = t.completions.slice(0, -1);
+        return this.update(id, patch, opts);
+    }
+
+    // turn recurring tasks whose next occurrence has come back into fresh, open tasks;
+    // returns the regrown tasks
+    regrowDue(now = new Date(), opts = {}) {
+        const regrown = [];
+        const nowIso = now.toISOString();
+        for (const t of this.list()) {
+            if (!t.completed || !t.recurrence || !t.regrowAt || t.regrowAt > nowIso || t.archivedAt) continue;
+            regrown.push(this.update(t.id, {
+                completed: false,
+                completedAt: null,
+                hits: 0,
+                due: toDueDate(t.regrowAt),
+                regrowAt: null,
+                subtasks: t.subtasks.map(st => Object.assign({}, st, { done: false })),
+            }, opts));
+        }
+        return regrown;
+    }
+
+    // move flowers that have aged past `days` into the archive (see model/compost.js);
+    // returns the composted tasks
+    compostDue(now = new Date(), days, opts = {}) {
+        const composted = [];
+        for (const t of this.list()) {
+            if (!isCompostDue(t, now.getTime(), days)) continue;
+            composted.push(this.update(t.id, { archivedAt: now.toISOString() }, opts));
+        }
+        return composted;
+    }
+
+    // bring an archived task back as a fresh, open weed at x; its history stays
+    unarchive(id, x, opts = {}) {
+        const t = this.tasks.get(id);
+        if (!t || !t.archivedAt) return t || null;
+        return this.update(id, {
+            archivedAt: null,
+            completed: false,
+            completedAt: null,
+            hits: 0,
+            regrowAt: null,
+            x,
+            subtasks: t.subtasks.map(st => Object.assign({}, st, { done: false })),
+        }, opts);
+    }
+
+    archived() {
+        return this.list().filter(t => t.archivedAt);
+    }
+
+    remove(id, opts = {}) {
+        const task = this.tasks.get(id);
+        if (!task) return null;
+        this.tasks.delete(id);
+        this.emit('removed', { task, source: opts.source ?? 'local' });
+        return task;
+    }
+
+    clear(opts = {}) {
+        for (const id of Array.from(this.tasks.keys())) this.remove(id, opts);
+    }
+
+    // make task `id` match `record` (null removes it); used by undo/redo
+    restore(id, record, opts = {}) {
+        const o = Object.assign({ source: 'history' }, opts);
+        if (!record) return this.remove(id, o);
+        if (this.tasks.has(id)) return this.update(id, record, o);
+        return this.add(record, o);
+    }
+
+    // replace the contents with a migrated envelope (storage/schema.js)
+    load(envelope, opts = {}) {
+        const o = Object.assign({ source: 'load' }, opts);
+        this.clear(o);
+        this.deleted = normalizeDeleted(envelope && envelope.deleted);
+        for (const t of (envelope && envelope.tasks) || []) {
+            try {
+                this.add(t, o);
+            } catch (e) {}
+        }
+        this.markAllSynced();
+    }
+
+    toEnvelope(garden, now = Date.now()) {
+        for (const [id, t] of Object.entries(this.deleted)) {
+            if (t.updatedAt && now - new Date(t.updatedAt).getTime() > TOMBSTONE_TTL_MS) delete this.deleted[id];
+        }
+        return {
+            version: SCHEMA_VERSION,
+            garden,
+            tasks: this.list().map(cloneTask),
+            deleted: this.deleted,
+        };
+    }
+
+    // current local state of a task for the sync engine: { record } | { deleted: stamp } | null
+    syncState(id) {
+        if (this.tasks.has(id)) return { record: this.toRecord(id) };
+        return this.deleted[id] ? { deleted: this.deleted[id] } : null;
+    }
+
+    // remember the current content of a task so the next stampChanges() only stamps real changes
+    markSynced(id) {
+        const t = this.tasks.get(id);
+        if (!t) return;
+        const record = cloneTask(t);
+        this._synced.set(id, { key: contentKey(record), rev: t.rev || 0, record });
+    }
+
+    markAllSynced() {
+        for (const id of this.tasks.keys()) this.markSynced(id);
+    }
+
+    // bump rev on every task that changed since it was last marked synced and tombstone removed ones;
+    // by: id of this tab/device. returns { tasks, deleted } to broadcast, or null when nothing changed
+    stampChanges(by = null) {
+        const now = new Date().toISOString();
+        const tasks = [];
+        const deleted = {};
+        for (const t of this.tasks.values()) {
+            const prev = this._synced.get(t.id);
+            if (prev && prev.key === contentKey(t)) continue;
+            // a restored task has to outrank its own tombstone
+            const tomb = this.deleted[t.id];
+            t.rev = Math.max(t.rev || 0, prev ? prev.rev : 0, tomb ? tomb.rev : 0) + 1;
+            t.updatedAt = now;
+            t.updatedBy = by;
+            t.fieldTimes = Object.assign({}, t.fieldTimes);
+            for (const f of changedFields(prev && prev.record, t)) t.fieldTimes[f] = now;
+            delete this.deleted[t.id];
+            this.markSynced(t.id);
+            tasks.push(cloneTask(t));
+        }
+        for (const [id, prev] of Array.from(this._synced)) {
+            if (this.tasks.has(id)) continue;
+            this._synced.delete(id);
+            deleted[id] = this.deleted[id] = { rev: prev.rev + 1, updatedAt: now, updatedBy: by };
+        }
+        return (tasks.length || Object.keys(deleted).length) ? { tasks, deleted } : null;
+    }
+
+    // merge tasks from the sync server or another tab field by field (newer field time wins);
+    // returns { tasks, deleted } that changed here (to pass on to other tabs), or null
+    mergeFieldwise(tasks, deleted, by = null) {
+        const now = new Date().toISOString();
+        const touched = [];
+        const removed = {};
+        for (const raw of tasks) {
+            const r = normalizeTask(raw);
+            const tomb = this.deleted[r.id];
+            // deleted here after the last remote edit: the delete wins
+            if (tomb && (tomb.updatedAt || '') >= latestFieldTime(r)) continue;
+            const local = this.tasks.get(r.id);
+            // new rev so other tabs take the merged state
+            const stamp = { rev: Math.max(local ? local.rev : 0, r.rev || 0) + 1, updatedAt: now, updatedBy: by };
+            if (!local) {
+                this.add(Object.assign({}, r, stamp), { source: 'remote' });
+                delete this.deleted[r.id];
+            } else {
+                const { merged, changed } = mergeFields(local, r);
+                if (!changed) {
+                    local.fieldTimes = merged.fieldTimes;
+                    continue;
+                }
+                this.update(r.id, Object.assign(merged, stamp), { stamps: true, source: 'remote' });
+            }
+            this.markSynced(r.id);
+            touched.push(this.toRecord(r.id));
+        }
+        for (const [id, t] of Object.entries(deleted || {})) {
+            const local = this.tasks.get(id);
+            if (local && (t.updatedAt || '') > latestFieldTime(local)) {
+                this.remove(id, { source: 'remote' });
+                this._synced.delete(id);
+                removed[id] = stampOf(t);
+            }
+            if (!this.deleted[id] || compareStamps(t, this.deleted[id]) > 0) this.deleted[id] = stampOf(t);
+        }
+        return (touched.length || Object.keys(removed).length) ? { tasks: touched, deleted: removed } : null;
+    }
+}
+
+export default TaskStore;
@@ -24,8 +24,12 @@ function textHash(s) {
 /**
  * createBranchyWeed(seedOrText, opts)
  * - seedOrText: number or string (string will be hashed)
- * - opts: { maxDepth, branchiness, length, leafSize, colors... }
+ * - opts: { maxDepth, branchiness, length, leafSize, colors..., subtasks: [{ done }], thorns: 0..2 }
  * returns PIXI.Container with plant drawn centered at (0,0) where root sits ~ at y=0 (weed container y already set)
+ *
+ * Each entry of opts.subtasks gets its own leafy branch off the trunk (c.subtaskBranches, in order);
+ * done ones are drawn withered. Branches use their own rng so the rest of the plant keeps its shape.
+ * opts.thorns adds thorns along the trunk and main branches (also with their own rng).
  */
 export function createBranchyWeed(seedOrText, opts = {}) {
     const seed = (typeof seedOrText === 'string') ? textHash(seedOrText) : (Number.isFinite(seedOrText) ? seedOrText | 0 : 1);
@@ -40,6 +44,9 @@ export function createBranchyWeed(seedOrText, opts = {}) {
         leafSize: opts.leafSize ?? 8,
         trunkColor: opts.trunkColor ?? 0x6b3a1a,
         leafColor: opts.leafColor ?? 0x2e8b57,
+        witheredColor: opts.witheredColor ?? 0x9a8660,
+        thorns: opts.thorns ?? 0,
+        thornColor: opts.thornColor ?? 0x3d2410,
     };
 
     const c = new PIXI.Container();
@@ -47,6 +54,8 @@ export function createBranchyWeed(seedOrText, opts = {}) {
     // draw trunk+branches into a Graphics, but we'll create separate leaf blobs as Graphics children
     const g = new PIXI.Graphics();
     c.addChild(g);
+    const thornSegs = []; // trunk and first-level branch segments, for thorns
+
 
     function drawBranch(x, y, angle, length, thickness, depth) {
         // compute end
@@ -57,6 +66,7 @@ export function createBranchyWeed(seedOrText, opts = {}) {
         g.lineStyle(Math.max(1, thickness), cfg.trunkColor, 1, 0.5, false);
         g.moveTo(x, y);
         g.lineTo(nx, ny);
+        if (depth === 0) thornSegs.push({ x, y, nx, ny, thickness });
 
         // // occasional small curl / jitter to make it ugly
         // if (depth === 0 || rng() < 0.4) {
@@ -99,12 +109,15 @@ export function createBranchyWeed(seedOrText, opts = {}) {
     let angle = -Math.PI / 2 + (rng() - 0.5) * 0.2; // mostly upward
     let length = cfg.baseLength * (0.9 + rng() * 0.6);
     let thickness = cfg.baseThickness;
+    const trunk = []; // { x, y, angle, length } per segment, for attaching subtask branches
     for (let s = 0; s < segments; s++) {
         const nx = sx + Math.cos(angle) * length;
         const ny = sy + Math.sin(angle) * length;
+        trunk.push({ x: sx, y: sy, angle, length });
         g.lineStyle(Math.max(1, thickness), cfg.trunkColor, 1, 0.5, false);
         g.moveTo(sx, sy);
         g.lineTo(nx, ny);
+        thornSegs.push({ x: sx, y: sy, nx, ny, thickness });
 
         // sprout 1..2 branches from this segment
         const sproutCount = (rng() < 0.6) ? 1 : 2;
@@ -120,6 +133,23 @@ export function createBranchyWeed(seedOrText, opts = {}) {
         thickness *= 0.7;
     }
 
+    if (cfg.thorns > 0) c.addChild(drawThorns(thornSegs, cfg, makeRng(seed ^ 0x7407e5)));
+
+    const subtasks = Array.isArray(opts.subtasks) ? opts.subtasks : [];
+    c.subtaskBranches = subtasks.map((st, i) => {
+        const brng = makeRng((seed + (i + 1) * 0x51ed27) >>> 0);
+        // spread the branches evenly up the trunk, alternating sides
+        const f = (i + 1) / (subtasks.length + 1) * trunk.length;
+        const seg = trunk[Math.min(trunk.length - 1, Math.floor(f))];
+        const along = f - Math.floor(f);
+        const bx = seg.x + Math.cos(seg.angle) * seg.length * along;
+        const by = seg.y + Math.sin(seg.angle) * seg.length * along;
+        const dir = (i % 2 === 0) ? -1 : 1;
+        const withered = Boolean(st && st.done);
+        return drawSubtaskBranch(bx, by, seg.angle, dir, withered, brng, cfg);
+    });
+    for (const b of c.subtaskBranches) c.addChild(b);
+
     // // add a few small ground leaves at base
     // for (let i = 0; i < 3; i++) {
     //     const leaf = new PIXI.Graphics();
@@ -152,4 +182,56 @@ export function createBranchyWeed(seedOrText, opts = {}) {
     return c;
 }
 
+// small triangles sticking out of the given segments, alternating sides
+function drawThorns(segs, cfg, rng) {
+    const t = new PIXI.Graphics();
+    t.beginFill(cfg.thornColor);
+    for (const s of segs) {
+        const dx = s.nx - s.x, dy = s.ny - s.y;
+        const len = Math.hypot(dx, dy);
+        if (len < 4) continue;
+        const ux = dx / len, uy = dy / len;
+        const count = Math.max(1, Math.round(len / 10 * cfg.thorns));
+        for (let i = 0; i < count; i++) {
+            const f = (i + 0.5 + (rng() - 0.5) * 0.4) / count;
+            const px = s.x + dx * f, py = s.y + dy * f;
+            const side = (i % 2 === 0) ? 1 : -1;
+            // perpendicular to the segment, leaning towards its tip
+            const nx = -uy * side, ny = ux * side;
+            const size = 2 + cfg.thorns + rng() * 2;
+            const half = Math.max(0.8, s.thickness * 0.4);
+            t.drawPolygon([
+                px - ux * half, py - uy * half,
+                px + ux * half, py + uy * half,
+                px + nx * size + ux * size * 0.5, py + ny * size + uy * size * 0.5,
+            ]);
+        }
+    }
+    t.endFill();
+    return t;
+}
+
+// one subtask's branch: green and leafy while open, dry and drooping once done
+function drawSubtaskBranch(x, y, trunkAngle, dir, withered, rng, cfg) {
+    const b = new PIXI.Graphics();
+    const len = cfg.baseLength * (0.9 + rng() * 0.4);
+    // withered branches sag towards the ground
+    const a = trunkAngle + dir * (withered ? 1.5 + rng() * 0.3 : 0.7 + rng() * 0.3);
+    const mx = x + Math.cos(a) * len * 0.6;
+    const my = y + Math.sin(a) * len * 0.6 + (withered ? len * 0.15 : 0);
+    const ex = x + Math.cos(a) * len;
+    const ey = y + Math.sin(a) * len + (withered ? len * 0.35 : 0);
+    b.lineStyle(withered ? 1.2 : 2, withered ? cfg.witheredColor : cfg.trunkColor, 1, 0.5, false);
+    b.moveTo(x, y);
+    b.quadraticCurveTo(mx, my, ex, ey);
+
+    const lv = cfg.leafSize * (withered ? 0.5 : 0.8 + rng() * 0.3);
+    b.lineStyle(0);
+    b.beginFill(withered ? cfg.witheredColor : cfg.leafColor, withered ? 0.75 : 0.95);
+    b.drawEllipse(ex, ey, lv, lv * (withered ? 0.35 : 0.55));
+    b.endFill();
+    b.withered = withered;
+    return b;
+}
+
 export default createBranchyWeed;
\ No newline at end of file
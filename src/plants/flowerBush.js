@@ -20,10 +20,22 @@ function textHash(s) {
     return h >>> 0;
 }
 
+// blend two 0xRRGGBB colors (t = 0 gives a)
+function mixColor(a, b, t) {
+    const ch = (c, s) => (c >> s) & 0xff;
+    const m = (s) => Math.round(ch(a, s) + (ch(b, s) - ch(a, s)) * t) << s;
+    return m(16) | m(8) | m(0);
+}
+
+const WITHERED_PETAL = 0x8b6b4a;
+const WITHERED_STEM = 0x7a6a3a;
+
 /**
  * createFlowerBush(seedOrText, opts)
  * - single main stem, one flower head (petals consistent)
  * - variable stem height and leaf distribution
+ * - opts.age 0..1: fresh for the first stretch, then the head droops, colors fade to brown and
+ *   petals drop to the ground (which ones is fixed per flower, so it ages in place)
  */
 export function createFlowerBush(seedOrText, opts = {}) {
     const seed = (typeof seedOrText === 'string') ? textHash(seedOrText) : (Number.isFinite(seedOrText) ? seedOrText | 0 : 1);
@@ -42,6 +54,16 @@ export function createFlowerBush(seedOrText, opts = {}) {
         leafColor: opts.leafColor ?? 0x3a6b3a,
         scale: opts.scale ?? (1 + rng() * 0.5),
     };
+    const wilt = Math.max(0, Math.min(1, ((opts.age ?? 0) - 0.15) / 0.85));
+    // aging draws from its own sequence so the shape above stays the same at every age
+    const ageRng = makeRng(seed ^ 0xDECAF);
+    const lean = ageRng() < 0.5 ? -1 : 1;
+    if (wilt > 0) {
+        cfg.petalColor = mixColor(cfg.petalColor, WITHERED_PETAL, wilt * 0.8);
+        cfg.centerColor = mixColor(cfg.centerColor, WITHERED_PETAL, wilt * 0.6);
+        cfg.stemColor = mixColor(cfg.stemColor, WITHERED_STEM, wilt);
+        cfg.leafColor = mixColor(cfg.leafColor, WITHERED_STEM, wilt);
+    }
 
     const c = new PIXI.Container();
 
@@ -50,8 +72,9 @@ export function createFlowerBush(seedOrText, opts = {}) {
     const height = cfg.stemHeightMin + rng() * (cfg.stemHeightMax - cfg.stemHeightMin);
     const thickness = Math.max(1, cfg.stemThickness * (0.8 + rng() * 0.6));
     const baseY = 0;
-    const topX = offsetX;
-    const topY = -height;
+    // the head sags sideways as the flower wilts
+    const topX = offsetX + lean * height * 0.45 * wilt;
+    const topY = -height * (1 - 0.35 * wilt);
 
     // stem graphics
     const stemG = new PIXI.Graphics();
@@ -86,7 +109,11 @@ export function createFlowerBush(seedOrText, opts = {}) {
     // draw petals into one Graphics for consistent shape
     const petalG = new PIXI.Graphics();
     petalG.beginFill(cfg.petalColor);
+    // petals fall in a fixed order; the fallen ones lie by the stem
+    const fallOrder = Array.from({ length: petals }, (_, p) => ({ p, k: ageRng() })).sort((a, b) => a.k - b.k).map(e => e.p);
+    const fallen = new Set(fallOrder.slice(0, Math.round(petals * 0.85 * wilt)));
     for (let p = 0; p < petals; p++) {
+        if (fallen.has(p)) continue;
         const a = (p / petals) * Math.PI * 2;
         const px = topX + Math.cos(a) * pr;
         const py = topY + Math.sin(a) * pr * 0.8;
@@ -98,6 +125,17 @@ export function createFlowerBush(seedOrText, opts = {}) {
     petalG.alpha = 0.98;
     c.addChild(petalG);
 
+    if (fallen.size) {
+        const litter = new PIXI.Graphics();
+        litter.beginFill(cfg.petalColor, 0.8);
+        for (let i = 0; i < fallen.size; i++) {
+            const lx = offsetX + lean * (4 + ageRng() * pr * 1.6) * (ageRng() < 0.3 ? -1 : 1);
+            litter.drawEllipse(lx, -1 - ageRng() * 2, pr * 0.5, pr * 0.2);
+        }
+        litter.endFill();
+        c.addChild(litter);
+    }
+
     // center circle
     const center = new PIXI.Graphics();
     center.beginFill(cfg.centerColor);
@@ -113,8 +151,8 @@ export function createFlowerBush(seedOrText, opts = {}) {
     dot.alpha = 0.9;
     c.addChild(dot);
 
-    c.scale.set(cfg.scale);
-    c.rotation = (rng() - 0.5) * 0.06;
+    c.scale.set(cfg.scale * (1 - 0.15 * wilt));
+    c.rotation = (rng() - 0.5) * 0.06 + lean * 0.12 * wilt;
 
     return c;
 }
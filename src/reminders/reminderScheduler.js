@@ -0,0 +1,121 @@
+import { nextReminder, markSent } from '../model/reminder.js';
+
+// timers further out than this are re-armed in steps (setTimeout overflows after ~24.8 days,
+// and a machine that slept may fire late anyway)
+const MAX_TIMER_MS = 6 * 60 * 60 * 1000;
+
+export function notificationsSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+export function notificationsAllowed() {
+    return notificationsSupported() && Notification.permission === 'granted';
+}
+
+// ask once (must run from a user gesture in most browsers); resolves to whether alerts may be shown
+export async function requestNotificationPermission() {
+    if (!notificationsSupported()) return false;
+    if (Notification.permission !== 'default') return Notification.permission === 'granted';
+    try {
+        return (await Notification.requestPermission()) === 'granted';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * ReminderScheduler
+ * Keeps one timer per task with a pending reminder (see model/reminder.js) and shows a browser
+ * notification when it runs out. Sent alerts are written back to the task, so reloading (or another
+ * tab) doesn't repeat them, and alerts that fell due while the page was closed go out on start().
+ * Nothing is scheduled until notifications are allowed; call rescheduleAll() after asking.
+ */
+export class ReminderScheduler {
+    // opts: { store: TaskStore, onOpen: (taskId) => void called when a notification is clicked }
+    constructor(opts = {}) {
+        this.store = opts.store;
+        this.onOpen = opts.onOpen ?? (() => {});
+        this.timers = new Map(); // task id -> timeout id
+        this._unsubscribe = [];
+        this._running = false;
+    }
+
+    start() {
+        if (this._running) return;
+        this._running = true;
+        this._unsubscribe = [
+            this.store.on('added', ({ task }) => this.schedule(task)),
+            this.store.on('updated', ({ task }) => this.schedule(task)),
+            this.store.on('removed', ({ task }) => this._clear(task.id)),
+        ];
+        this.rescheduleAll();
+    }
+
+    stop() {
+        this._running = false;
+        for (const off of this._unsubscribe) off();
+        this._unsubscribe = [];
+        for (const id of Array.from(this.timers.keys())) this._clear(id);
+    }
+
+    rescheduleAll() {
+        for (const task of this.store.list()) this.schedule(task);
+    }
+
+    schedule(task) {
+        this._clear(task.id);
+        if (!this._running || !notificationsAllowed()) return;
+        const next = nextReminder(task);
+        if (!next) return;
+        const delay = Math.max(0, next.at - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(task.id);
+            if (delay > MAX_TIMER_MS) {
+                const current = this.store.get(task.id);
+                if (current) this.schedule(current);
+                return;
+            }
+            this._fire(task.id);
+        }, Math.min(delay, MAX_TIMER_MS));
+        this.timers.set(task.id, timer);
+    }
+
+    _clear(id) {
+        const timer = this.timers.get(id);
+        if (timer == null) return;
+        clearTimeout(timer);
+        this.timers.delete(id);
+    }
+
+    _fire(id) {
+        const task = this.store.get(id);
+        const next = task ? nextReminder(task) : null;
+        // edited since the timer was set; the update already rescheduled it
+        if (!next || next.at > Date.now()) return;
+        try {
+            const n = new Notification(next.kind === 'overdue' ? `Overdue: ${task.text}` : `Due soon: ${task.text}`, {
+                body: describeDue(task, next.kind),
+                // one alert per task and kind, even if several tabs fire it
+                tag: `todo-garden:${id}:${next.kind}`,
+            });
+            n.onclick = () => {
+                try { window.focus(); } catch (e) {}
+                this.onOpen(id);
+                n.close();
+            };
+        } catch (e) {
+            console.warn('[reminders] could not show notification:', e);
+        }
+        // recording the alert triggers an update, which schedules the next one
+        this.store.update(id, { reminder: markSent(task, next.kind) });
+    }
+}
+
+function describeDue(task, kind) {
+    const day = new Date(task.due.slice(0, 10) + 'T00:00:00');
+    let date = day.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    if (task.dueTime) date += ' ' + task.dueTime;
+    return kind === 'overdue' ? `Was due ${date}` : `Due ${date}`;
+}
+
+export default ReminderScheduler;
@@ -0,0 +1,31 @@
+import { LocalStorageAdapter } from './localStorageAdapter.js';
+import { IndexedDbAdapter } from './indexedDbAdapter.js';
+import { MemoryAdapter } from './memoryAdapter.js';
+
+/**
+ * Storage adapters all share one async interface:
+ *   load(key)         -> Promise<value | null>   (parsed value, not a string)
+ *   save(key, value)  -> Promise<void>
+ *   remove(key)       -> Promise<void>
+ * and expose a `kind` string for debugging.
+ *
+ * createStorage(kind, opts) picks one by name: 'localStorage' (default), 'indexedDB' or 'memory'.
+ * An object that already implements the interface is returned as-is.
+ */
+export function createStorage(kind = 'localStorage', opts = {}) {
+    if (kind && typeof kind === 'object' && typeof kind.load === 'function') return kind;
+    switch (kind) {
+        case 'indexedDB':
+        case 'indexeddb':
+            return new IndexedDbAdapter(opts);
+        case 'memory':
+            return new MemoryAdapter(opts.initial);
+        case 'localStorage':
+        case 'localstorage':
+        default:
+            return new LocalStorageAdapter(opts);
+    }
+}
+
+export { LocalStorageAdapter, IndexedDbAdapter, MemoryAdapter };
+export default createStorage;
@@ -0,0 +1,56 @@
+// Storage adapter backed by IndexedDB: a single object store of key -> structured-cloned value.
+// No practical size cap, and writes don't block the main thread.
+export class IndexedDbAdapter {
+    constructor(opts = {}) {
+        this.kind = 'indexedDB';
+        this.dbName = opts.dbName ?? 'todo-garden';
+        this.storeName = opts.storeName ?? 'kv';
+        this._dbPromise = null;
+    }
+
+    _open() {
+        if (this._dbPromise) return this._dbPromise;
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const req = indexedDB.open(this.dbName, 1);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(this.storeName)) db.createObjectStore(this.storeName);
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // allow a retry on the next call if opening failed
+        this._dbPromise.catch(() => { this._dbPromise = null; });
+        return this._dbPromise;
+    }
+
+    async _request(mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const req = fn(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async load(key) {
+        const v = await this._request('readonly', (store) => store.get(key));
+        return v === undefined ? null : v;
+    }
+
+    async save(key, value) {
+        await this._request('readwrite', (store) => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this._request('readwrite', (store) => store.delete(key));
+    }
+}
+
+export default IndexedDbAdapter;
@@ -0,0 +1,27 @@
+// Storage adapter backed by window.localStorage (values are JSON-encoded strings).
+// Simple and synchronous under the hood, but browsers cap it at roughly 5MB per origin.
+export class LocalStorageAdapter {
+    constructor(opts = {}) {
+        this.kind = 'localStorage';
+        this.storage = opts.storage ?? (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    async load(key) {
+        if (!this.storage) return null;
+        const raw = this.storage.getItem(key);
+        if (raw == null) return null;
+        return JSON.parse(raw);
+    }
+
+    async save(key, value) {
+        if (!this.storage) return;
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        if (!this.storage) return;
+        this.storage.removeItem(key);
+    }
+}
+
+export default LocalStorageAdapter;
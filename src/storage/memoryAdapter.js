@@ -0,0 +1,24 @@
+// In-memory storage adapter. Nothing survives a reload; meant for tests and throwaway gardens.
+export class MemoryAdapter {
+    constructor(initial = {}) {
+        this.kind = 'memory';
+        this._data = new Map();
+        for (const [k, v] of Object.entries(initial)) this._data.set(k, JSON.stringify(v));
+    }
+
+    // values are stored as JSON so callers can't mutate what was saved (same as the real backends)
+    async load(key) {
+        const raw = this._data.get(key);
+        return raw == null ? null : JSON.parse(raw);
+    }
+
+    async save(key, value) {
+        this._data.set(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this._data.delete(key);
+    }
+}
+
+export default MemoryAdapter;
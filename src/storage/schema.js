@@ -0,0 +1,237 @@
+/**
+ * Versioned save format for a garden.
+ *
+ * v1: bare array of { text, x, completed, hits, due, description }
+ * v2: { version, garden: { name, createdAt, updatedAt }, tasks: [task, ...], deleted: { id: stamp } }
+ *     task: { id, text, x, completed, hits, due, dueTime, description, createdAt, completedAt,
+ *             priority, projects, contexts, tags, extras, group, parentId, subtasks,
+ *             recurrence, occurrences, regrowAt, reminder, blockedBy, focus, completions,
+ *             archivedAt, rev, updatedAt, updatedBy, fieldTimes }
+ *     subtask: { id, text, done }
+ *     recurrence: see model/recurrence.js; occurrence: { due, completedAt }
+ *     reminder: see model/reminder.js; focus: pomodoro log, see model/focus.js
+ *     completions: ISO time of every bloom, oldest first (feeds model/stats.js)
+ *     archivedAt: when the flower was composted into the archive (see model/compost.js)
+ *     garden.compostAfterDays: days a flower stays before it is composted (null, the default: never)
+ *     stamp: { rev, updatedAt, updatedBy } - see sync/stamps.js
+ *     (fields after completedAt, and `deleted`, were added later within v2; missing ones get defaults)
+ * v3: same envelope; priority is a level (low | normal | high | urgent, see model/priority.js)
+ *     instead of a todo.txt letter
+ *
+ * migrate(data) upgrades anything older to the current envelope one step at a time,
+ * so adding a version means bumping SCHEMA_VERSION and adding one entry to `migrations`.
+ */
+import { normalizeRecurrence } from '../model/recurrence.js';
+import { normalizePriority } from '../model/priority.js';
+import { normalizeTags } from '../model/tagStyles.js';
+import { normalizeReminder } from '../model/reminder.js';
+import { normalizeFocus } from '../model/focus.js';
+import { normalizeDueTime } from '../model/deadline.js';
+import { normalizeCompostDays } from '../model/compost.js';
+
+export const SCHEMA_VERSION = 3;
+
+// completions kept per recurring task
+export const MAX_OCCURRENCES = 200;
+
+// bloom times kept per task
+export const MAX_COMPLETIONS = 500;
+
+// stable id for a task (kept across saves, exports and syncs)
+export function createTaskId() {
+    try {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+    } catch (e) { /* fall through */ }
+    return 't-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+function stringList(v) {
+    return Array.isArray(v) ? v.filter(s => typeof s === 'string' && s).map(String) : [];
+}
+
+function isoOrNull(v) {
+    if (v == null || v === '') return null;
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// fill in defaults / coerce types for a single task record
+export function normalizeTask(r = {}, now = new Date().toISOString()) {
+    const completed = Boolean(r.completed);
+    const occurrences = normalizeOccurrences(r.occurrences);
+    const completedAt = completed ? (isoOrNull(r.completedAt) ?? null) : null;
+    return {
+        id: (typeof r.id === 'string' && r.id) ? r.id : createTaskId(),
+        text: (typeof r.text === 'string') ? r.text : String(r.text ?? ''),
+        x: Number.isFinite(r.x) ? r.x : null,
+        completed,
+        hits: Number.isFinite(r.hits) ? r.hits : 0,
+        due: isoOrNull(r.due),
+        // optional local "HH:MM" on the due day (without it the whole day counts)
+        dueTime: normalizeDueTime(r.dueTime),
+        description: (typeof r.description === 'string') ? r.description : '',
+        createdAt: isoOrNull(r.createdAt) ?? now,
+        completedAt,
+        // low | normal | high | urgent (letters from older data are mapped)
+        priority: normalizePriority(r.priority),
+        projects: stringList(r.projects),
+        contexts: stringList(r.contexts),
+        // lowercase category tags without the '#' (colors come from model/tagStyles.js)
+        tags: normalizeTags(r.tags),
+        // unrecognized key:value tags from imports, kept so they can be written back out
+        extras: (r.extras && typeof r.extras === 'object' && !Array.isArray(r.extras)) ? Object.assign({}, r.extras) : {},
+        // section the task was filed under (e.g. a Markdown heading)
+        group: (typeof r.group === 'string' && r.group) ? r.group : null,
+        // id of the task this one was nested under in an imported list
+        parentId: (typeof r.parentId === 'string' && r.parentId) ? r.parentId : null,
+        // checklist of steps; the weed only blooms once all of them are done
+        subtasks: normalizeSubtasks(r.subtasks),
+        // repeat rule; a completed recurring task regrows at regrowAt
+        recurrence: normalizeRecurrence(r.recurrence),
+        // one entry per completed occurrence of a recurring task, oldest first
+        occurrences,
+        regrowAt: completed ? isoOrNull(r.regrowAt) : null,
+        // notification lead time and which alerts went out (null: no reminders)
+        reminder: normalizeReminder(r.reminder),
+        // ids of tasks that have to be done first (drawn as vines; a blocked weed can't be watered)
+        blockedBy: Array.from(new Set(stringList(r.blockedBy))).filter(id => id !== r.id),
+        // finished pomodoros and time spent focusing on the task
+        focus: normalizeFocus(r.focus),
+        // every time the task bloomed, kept through reopening and regrowing
+        completions: normalizeCompletions(r.completions, occurrences, completedAt),
+        // composted into the archive: no weed in the world until it is restored
+        archivedAt: completed ? isoOrNull(r.archivedAt) : null,
+        // version stamp for merging concurrent edits (bumped on every saved change)
+        rev: (Number.isInteger(r.rev) && r.rev >= 0) ? r.rev : 0,
+        updatedAt: isoOrNull(r.updatedAt) ?? isoOrNull(r.createdAt) ?? now,
+        updatedBy: (typeof r.updatedBy === 'string' && r.updatedBy) ? r.updatedBy : null,
+        // per-field change times for device sync (see sync/fieldMerge.js)
+        fieldTimes: normalizeFieldTimes(r.fieldTimes),
+    };
+}
+
+function normalizeSubtasks(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(s => s && typeof s === 'object' && typeof s.text === 'string' && s.text.trim())
+        .map(s => ({
+            id: (typeof s.id === 'string' && s.id) ? s.id : createTaskId(),
+            text: s.text.trim(),
+            done: Boolean(s.done),
+        }));
+}
+
+function normalizeOccurrences(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(o => o && typeof o === 'object' && isoOrNull(o.completedAt))
+        .map(o => ({ due: isoOrNull(o.due), completedAt: isoOrNull(o.completedAt) }))
+        .slice(-MAX_OCCURRENCES);
+}
+
+// records from before the log existed start from what they do know: occurrences and completedAt
+function normalizeCompletions(list, occurrences, completedAt) {
+    let times;
+    if (Array.isArray(list)) {
+        times = list.map(isoOrNull).filter(Boolean);
+    } else {
+        times = occurrences.map(o => o.completedAt);
+        if (completedAt && !times.includes(completedAt)) times.push(completedAt);
+    }
+    return times.sort().slice(-MAX_COMPLETIONS);
+}
+
+function normalizeFieldTimes(ft) {
+    const out = {};
+    if (!ft || typeof ft !== 'object' || Array.isArray(ft)) return out;
+    for (const [k, v] of Object.entries(ft)) {
+        const iso = isoOrNull(v);
+        if (iso) out[k] = iso;
+    }
+    return out;
+}
+
+// tombstones for deleted tasks: { id: { rev, updatedAt, updatedBy } }
+export function normalizeDeleted(d) {
+    const out = {};
+    if (!d || typeof d !== 'object' || Array.isArray(d)) return out;
+    for (const [id, t] of Object.entries(d)) {
+        if (!t || typeof t !== 'object' || !Number.isInteger(t.rev)) continue;
+        out[id] = { rev: t.rev, updatedAt: isoOrNull(t.updatedAt), updatedBy: (typeof t.updatedBy === 'string') ? t.updatedBy : null };
+    }
+    return out;
+}
+
+export function createGardenMeta(meta = {}, now = new Date().toISOString()) {
+    return {
+        name: (typeof meta.name === 'string' && meta.name) ? meta.name : 'My Garden',
+        createdAt: isoOrNull(meta.createdAt) ?? now,
+        updatedAt: isoOrNull(meta.updatedAt) ?? now,
+        compostAfterDays: normalizeCompostDays(meta.compostAfterDays),
+    };
+}
+
+export function createEnvelope(tasks = [], garden = {}) {
+    return {
+        version: SCHEMA_VERSION,
+        garden: createGardenMeta(garden),
+        tasks: tasks.map(t => normalizeTask(t)),
+        deleted: {},
+    };
+}
+
+// returns the schema version of raw stored data, or 0 if it isn't recognizable
+export function detectVersion(data) {
+    if (Array.isArray(data)) return 1;
+    if (data && typeof data === 'object' && Number.isInteger(data.version)) return data.version;
+    return 0;
+}
+
+// each entry upgrades data from version N to N + 1
+const migrations = {
+    1: (arr) => {
+        const now = new Date().toISOString();
+        return {
+            version: 2,
+            garden: createGardenMeta({}, now),
+            tasks: arr.filter(r => r && typeof r === 'object').map(r => normalizeTask(r, now)),
+        };
+    },
+    // todo.txt priority letters -> levels (A urgent, B high, C-Z low, none normal)
+    2: (env) => Object.assign({}, env, {
+        version: 3,
+        tasks: (Array.isArray(env.tasks) ? env.tasks : []).map(t =>
+            (t && typeof t === 'object') ? Object.assign({}, t, { priority: normalizePriority(t.priority) }) : t),
+    }),
+};
+
+/**
+ * migrate(data)
+ * - data: parsed JSON from storage (any known version)
+ * returns { envelope, fromVersion, migrated } or null when the data can't be understood.
+ * Throws if the data is from a newer schema than this build knows about.
+ */
+export function migrate(data) {
+    const fromVersion = detectVersion(data);
+    if (!fromVersion) return null;
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Garden data is schema v${fromVersion}, this build only understands up to v${SCHEMA_VERSION}`);
+    }
+
+    let cur = data;
+    for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+        const step = migrations[v];
+        if (!step) throw new Error(`No migration from schema v${v}`);
+        cur = step(cur);
+    }
+
+    const envelope = {
+        version: SCHEMA_VERSION,
+        garden: createGardenMeta(cur.garden),
+        tasks: Array.isArray(cur.tasks) ? cur.tasks.filter(t => t && typeof t === 'object').map(t => normalizeTask(t)) : [],
+        deleted: normalizeDeleted(cur.deleted),
+    };
+    return { envelope, fromVersion, migrated: fromVersion !== SCHEMA_VERSION };
+}
+
+export default migrate;
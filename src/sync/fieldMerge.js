@@ -0,0 +1,59 @@
+/**
+ * Per-field merging for device-to-device sync.
+ *
+ * Every task carries fieldTimes: { field: ISO time of its last local change }. When two replicas
+ * disagree, each field independently takes the value with the later time, so editing the title on
+ * one machine and the due date on another keeps both edits.
+ *
+ * server/syncServer.mjs imports this module, so both sides always merge the same fields.
+ */
+
+// task fields that are synced (and timestamped) individually
+export const SYNC_FIELDS = [
+    'text', 'x', 'completed', 'completedAt', 'hits', 'due', 'dueTime', 'description',
+    'priority', 'projects', 'contexts', 'tags', 'extras', 'group', 'parentId', 'subtasks',
+    'recurrence', 'occurrences', 'regrowAt', 'reminder', 'blockedBy', 'focus',
+    'completions', 'archivedAt',
+];
+
+function same(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// names of SYNC_FIELDS whose values differ between two records
+export function changedFields(prev, next) {
+    if (!prev) return SYNC_FIELDS.slice();
+    return SYNC_FIELDS.filter(f => !same(prev[f], next[f]));
+}
+
+// time a field was last changed; falls back to the record-level time for data that predates fieldTimes
+export function fieldTime(record, field) {
+    return (record.fieldTimes && record.fieldTimes[field]) || record.updatedAt || record.createdAt || '';
+}
+
+/**
+ * mergeFields(local, remote)
+ * returns { merged, changed } where merged is a new record and changed says whether any
+ * field was taken from remote
+ */
+export function mergeFields(local, remote) {
+    if (!local) return { merged: Object.assign({}, remote), changed: true };
+    const merged = Object.assign({}, local, { fieldTimes: Object.assign({}, local.fieldTimes) });
+    let changed = false;
+    for (const f of SYNC_FIELDS) {
+        const rt = fieldTime(remote, f);
+        if (rt > fieldTime(local, f)) {
+            if (!same(local[f], remote[f])) changed = true;
+            merged[f] = remote[f];
+            merged.fieldTimes[f] = rt;
+        }
+    }
+    return { merged, changed };
+}
+
+// latest change time on any field of a record
+export function latestFieldTime(record) {
+    let t = record.updatedAt || record.createdAt || '';
+    for (const v of Object.values(record.fieldTimes || {})) if (v > t) t = v;
+    return t;
+}
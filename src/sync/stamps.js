@@ -0,0 +1,34 @@
+/**
+ * Version stamps used to merge concurrent edits of the same task.
+ *
+ * A stamp is { rev, updatedAt, updatedBy } (tasks carry these fields directly, tombstones are bare stamps):
+ *   rev        integer bumped every time the task is saved with a change
+ *   updatedAt  ISO time of that change
+ *   updatedBy  id of the tab/device that made it (final tie-breaker so every replica picks the same winner)
+ */
+
+// > 0 when a is newer than b, < 0 when older, 0 when identical
+export function compareStamps(a, b) {
+    const ra = (a && a.rev) || 0, rb = (b && b.rev) || 0;
+    if (ra !== rb) return ra - rb;
+    const ta = (a && a.updatedAt) || '', tb = (b && b.updatedAt) || '';
+    if (ta !== tb) return ta < tb ? -1 : 1;
+    const ba = (a && a.updatedBy) || '', bb = (b && b.updatedBy) || '';
+    if (ba !== bb) return ba < bb ? -1 : 1;
+    return 0;
+}
+
+export function stampOf(t) {
+    return { rev: (t && t.rev) || 0, updatedAt: (t && t.updatedAt) || null, updatedBy: (t && t.updatedBy) || null };
+}
+
+// JSON of a task record without its stamp fields: equal keys mean "nothing to sync"
+export function contentKey(record) {
+    const { rev, updatedAt, updatedBy, fieldTimes, ...rest } = record;
+    return JSON.stringify(rest);
+}
+
+// random id for this tab / device
+export function createReplicaId() {
+    return Math.random().toString(36).slice(2, 10) + Date.now().toString(36).slice(-4);
+}
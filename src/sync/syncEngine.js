@@ -0,0 +1,174 @@
+/**
+ * SyncEngine
+ * Offline-first sync of one garden against a REST endpoint (see server/syncServer.mjs).
+ *
+ * Local changes go into a change log (ids of touched tasks, compacted per id) that is persisted
+ * with the storage adapter, so edits made offline survive reloads and are pushed once the
+ * endpoint is reachable again. Pulls fetch everything changed on the server since the last
+ * cursor and hand it to applyRemote, which merges per field (sync/fieldMerge.js).
+ *
+ * Protocol:
+ *   POST {endpoint}/gardens/{gardenId}/push     { clientId, tasks: [record], deleted: { id: stamp } } -> { cursor }
+ *   GET  {endpoint}/gardens/{gardenId}/changes?since={cursor}  -> { cursor, tasks: [record], deleted: { id: stamp } }
+ *
+ * Status (passed to onStatus): { state: 'idle'|'syncing'|'synced'|'offline'|'error', pending, lastSyncedAt, error }
+ */
+export class SyncEngine {
+    // opts: {
+    //   endpoint, gardenId, clientId, storage, logKey,
+    //   getLocal(id)        -> { record } | { deleted: stamp } | null   (current local state of a task)
+    //   applyRemote(tasks, deleted)                                      (merge pulled changes)
+    //   onStatus(status), interval: ms between background syncs
+    // }
+    constructor(opts = {}) {
+        this.endpoint = String(opts.endpoint || '').replace(/\/+$/, '');
+        this.gardenId = opts.gardenId;
+        this.clientId = opts.clientId;
+        this.storage = opts.storage;
+        this.logKey = opts.logKey;
+        this.getLocal = opts.getLocal;
+        this.applyRemote = opts.applyRemote;
+        this.onStatus = opts.onStatus ?? (() => {});
+        this.interval = opts.interval ?? 30000;
+
+        this.log = [];      // [{ id, at }] touched task ids, oldest first
+        this.cursor = 0;    // server sequence number we've pulled up to
+        this.status = { state: 'idle', pending: 0, lastSyncedAt: null, error: null };
+
+        this._timer = null;
+        this._pushTimer = null;
+        this._running = null;
+        this._again = false;
+        this._stopped = false;
+        this._onOnline = () => this.syncNow();
+        this._onOffline = () => this._setStatus({ state: 'offline' });
+    }
+
+    async start() {
+        try {
+            const saved = await this.storage.load(this.logKey);
+            if (saved) {
+                this.log = Array.isArray(saved.log) ? saved.log.filter(e => e && typeof e.id === 'string') : [];
+                this.cursor = Number.isFinite(saved.cursor) ? saved.cursor : 0;
+                this.status.lastSyncedAt = saved.lastSyncedAt || null;
+            }
+        } catch (e) {
+            console.warn('[sync] could not read change log:', e);
+        }
+        if (this._stopped) return;
+        window.addEventListener('online', this._onOnline);
+        window.addEventListener('offline', this._onOffline);
+        this._timer = setInterval(() => this.syncNow(), this.interval);
+        this._setStatus({ pending: this.log.length });
+        this.syncNow();
+    }
+
+    stop() {
+        this._stopped = true;
+        clearInterval(this._timer);
+        clearTimeout(this._pushTimer);
+        window.removeEventListener('online', this._onOnline);
+        window.removeEventListener('offline', this._onOffline);
+        return this._persist();
+    }
+
+    // called after each local flush with the ids that changed ({ tasks, deleted } from WeedManager)
+    recordLocalChanges(changes) {
+        const at = new Date().toISOString();
+        const ids = changes.tasks.map(t => t.id).concat(Object.keys(changes.deleted || {}));
+        if (!ids.length) return;
+        const touched = new Set(ids);
+        this.log = this.log.filter(e => !touched.has(e.id));
+        for (const id of ids) this.log.push({ id, at });
+        this._setStatus({ pending: this.log.length });
+        this._persist();
+        // push shortly after a burst of edits rather than on every one
+        clearTimeout(this._pushTimer);
+        this._pushTimer = setTimeout(() => this.syncNow(), 1500);
+    }
+
+    _persist() {
+        return this.storage.save(this.logKey, { cursor: this.cursor, log: this.log, lastSyncedAt: this.status.lastSyncedAt })
+            .catch((e) => console.warn('[sync] could not save change log:', e));
+    }
+
+    _setStatus(patch) {
+        Object.assign(this.status, patch);
+        try { this.onStatus(Object.assign({}, this.status)); } catch (e) {}
+    }
+
+    async _request(method, path, body) {
+        const res = await fetch(this.endpoint + path, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        if (!res.ok) throw new Error(`${method} ${path} failed: ${res.status}`);
+        return res.json();
+    }
+
+    // push the change log, then pull; calls made while a run is in flight fold into one more run
+    syncNow() {
+        if (this._stopped) return Promise.resolve();
+        if (this._running) {
+            this._again = true;
+            return this._running;
+        }
+        this._running = (async () => {
+            do {
+                this._again = false;
+                await this._sync();
+            } while (this._again && !this._stopped);
+        })().finally(() => {
+            this._running = null;
+        });
+        return this._running;
+    }
+
+    async _sync() {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this._setStatus({ state: 'offline' });
+            return;
+        }
+        this._setStatus({ state: 'syncing', error: null });
+        try {
+            await this._push();
+            await this._pull();
+            this._setStatus({ state: 'synced', pending: this.log.length, lastSyncedAt: new Date().toISOString() });
+        } catch (e) {
+            // fetch rejects with a TypeError when the server can't be reached at all
+            const offline = e instanceof TypeError;
+            this._setStatus({ state: offline ? 'offline' : 'error', error: e.message, pending: this.log.length });
+        }
+        await this._persist();
+    }
+
+    async _push() {
+        if (!this.log.length) return;
+        const sending = this.log.slice();
+        const tasks = [];
+        const deleted = {};
+        for (const { id } of sending) {
+            const local = this.getLocal(id);
+            if (!local) continue;
+            if (local.record) tasks.push(local.record);
+            else if (local.deleted) deleted[id] = local.deleted;
+        }
+        await this._request('POST', `/gardens/${encodeURIComponent(this.gardenId)}/push`, {
+            clientId: this.clientId, tasks, deleted
+        });
+        // drop what was sent, keeping entries re-logged while the request was in flight
+        const sent = new Map(sending.map(e => [e.id, e.at]));
+        this.log = this.log.filter(e => sent.get(e.id) !== e.at);
+    }
+
+    async _pull() {
+        const res = await this._request('GET', `/gardens/${encodeURIComponent(this.gardenId)}/changes?since=${this.cursor}`);
+        const tasks = Array.isArray(res.tasks) ? res.tasks : [];
+        const deleted = (res.deleted && typeof res.deleted === 'object') ? res.deleted : {};
+        if (tasks.length || Object.keys(deleted).length) this.applyRemote(tasks, deleted);
+        if (Number.isFinite(res.cursor)) this.cursor = res.cursor;
+    }
+}
+
+export default SyncEngine;
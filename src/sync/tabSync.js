@@ -0,0 +1,57 @@
+import { createReplicaId } from './stamps.js';
+
+const CHANNEL_NAME = 'todo-garden-sync';
+
+/**
+ * TabSync
+ * Sends garden changes to other tabs of the same origin and hands theirs to onMessage.
+ * Uses BroadcastChannel when available; otherwise falls back to the `storage` event, which
+ * fires in other tabs whenever localStorage is written (so it only works with that backend).
+ *
+ * Messages: { type: 'changes', storageKey, tasks: [record], deleted: { id: stamp } }
+ *           { type: 'snapshot', storageKey, envelope }   (storage-event fallback only)
+ */
+export class TabSync {
+    constructor(onMessage) {
+        this.tabId = createReplicaId();
+        this.onMessage = onMessage;
+        this.channel = null;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+            this.channel.onmessage = (e) => {
+                const msg = e.data;
+                if (!msg || msg.from === this.tabId) return;
+                this.onMessage(msg);
+            };
+        } else {
+            this._storageHandler = (e) => {
+                if (!e.key || e.newValue == null) return;
+                let envelope;
+                try { envelope = JSON.parse(e.newValue); } catch (err) { return; }
+                if (!envelope || !Array.isArray(envelope.tasks)) return;
+                this.onMessage({ type: 'snapshot', storageKey: e.key, envelope });
+            };
+            window.addEventListener('storage', this._storageHandler);
+        }
+    }
+
+    post(msg) {
+        if (!this.channel) return; // storage-event fallback: the save itself notifies other tabs
+        try {
+            this.channel.postMessage(Object.assign({ from: this.tabId }, msg));
+        } catch (e) {
+            console.warn('[sync] could not broadcast change:', e);
+        }
+    }
+
+    destroy() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this._storageHandler) window.removeEventListener('storage', this._storageHandler);
+    }
+}
+
+export default TabSync;
@@ -0,0 +1,67 @@
+import Swal from 'sweetalert2';
+import { COMPOST_CHOICES, describeCompostDays } from '../model/compost.js';
+
+const esc = (s = '') => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const shortDate = (iso) => new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+/**
+ * openArchive(opts)
+ * Swal list of composted tasks, newest first, each with a Restore button, plus the garden's
+ * compost period. The dialog stays open while restoring so several items can come back at once.
+ * opts: {
+ *   tasks()              the archived task records
+ *   compostDays          current period (null: never)
+ *   onRestore(id)        plant the task again as a fresh weed
+ *   onCompostDays(days)  the period was changed
+ * }
+ */
+export async function openArchive(opts) {
+    const choices = COMPOST_CHOICES.map(d =>
+        `<option value="${d ?? ''}"${d === opts.compostDays ? ' selected' : ''}>${describeCompostDays(d)}</option>`).join('');
+    await Swal.fire({
+        title: 'Compost archive',
+        html: `<div style="display:flex;gap:8px;align-items:center;justify-content:space-between;font-size:14px;margin-bottom:8px">` +
+            `<label>Compost flowers <select id="compost-days">${choices}</select></label>` +
+            `<input id="archive-filter" type="search" placeholder="Filter…" style="width:140px"></div>` +
+            `<div id="archive-list" style="max-height:320px;overflow:auto;text-align:left;font-size:13px"></div>`,
+        width: 560,
+        confirmButtonText: 'Close',
+        didOpen: () => {
+            const popup = Swal.getPopup();
+            const list = popup.querySelector('#archive-list');
+            const filter = popup.querySelector('#archive-filter');
+            const render = () => {
+                const words = filter.value.toLowerCase().split(/\s+/).filter(Boolean);
+                const items = opts.tasks()
+                    .filter(t => words.every(w => (t.text + ' ' + t.tags.map(g => '#' + g).join(' ')).toLowerCase().includes(w)))
+                    .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt));
+                if (!items.length) {
+                    list.innerHTML = `<p style="text-align:center;opacity:0.6">${words.length ? 'Nothing matches.' : 'Nothing composted yet.'}</p>`;
+                    return;
+                }
+                list.innerHTML = items.map(t => {
+                    const n = t.completions.length;
+                    const meta = [`bloomed ${n} time${n === 1 ? '' : 's'}`, `composted ${shortDate(t.archivedAt)}`]
+                        .concat(t.tags.length ? [t.tags.map(g => '#' + esc(g)).join(' ')] : []);
+                    return `<div style="display:flex;align-items:center;gap:8px;padding:5px 4px;border-bottom:1px solid #eee">` +
+                        `<div style="flex:1"><div>${esc(t.text)}</div><div style="font-size:11px;opacity:0.65">${meta.join(' · ')}</div></div>` +
+                        `<button type="button" data-restore="${esc(t.id)}" style="cursor:pointer">🌱 Restore</button></div>`;
+                }).join('');
+            };
+            list.addEventListener('click', (ev) => {
+                const btn = ev.target.closest('[data-restore]');
+                if (!btn) return;
+                opts.onRestore(btn.getAttribute('data-restore'));
+                render();
+            });
+            filter.addEventListener('input', render);
+            popup.querySelector('#compost-days').addEventListener('change', (ev) => {
+                opts.onCompostDays(ev.target.value ? Number(ev.target.value) : null);
+            });
+            render();
+        },
+    });
+}
+
+export default openArchive;
@@ -43,6 +43,39 @@ export class Controls {
         // build visuals
         this._buildItems(parts);
 
+        // small status badge in the top-right corner (e.g. sync state); hidden until setStatus()
+        this._statusBg = new PIXI.Graphics();
+        this._statusText = new PIXI.Text('', new PIXI.TextStyle({
+            fontFamily: this.style.fontFamily,
+            fontSize: 12,
+            fill: 0xffffff,
+        }));
+        try { this._statusText.resolution = this.dpi; } catch (e) { /* ignore */ }
+        this._statusText.anchor.set(1, 0);
+        this._statusBg.visible = this._statusText.visible = false;
+        this.statusContainer = new PIXI.Container();
+        this.statusContainer.eventMode = 'none';
+        this.statusContainer.addChild(this._statusBg);
+        this.statusContainer.addChild(this._statusText);
+        this.container.addChild(this.statusContainer);
+
+        // transient hint above the bar (e.g. why an action didn't happen); hidden until hint()
+        this._hintBg = new PIXI.Graphics();
+        this._hintText = new PIXI.Text('', new PIXI.TextStyle({
+            fontFamily: this.style.fontFamily,
+            fontSize: 13,
+            fill: 0xffe9a8,
+            align: 'center',
+            wordWrap: true,
+            wordWrapWidth: 420,
+        }));
+        try { this._hintText.resolution = this.dpi; } catch (e) { /* ignore */ }
+        this._hintText.anchor.set(0.5, 1);
+        this._hintBg.visible = this._hintText.visible = false;
+        this._hintTimer = null;
+        this.container.addChild(this._hintBg);
+        this.container.addChild(this._hintText);
+
         // add to stage (fixed to screen)
         this.app.stage.addChild(this.container);
 
@@ -90,6 +123,28 @@ export class Controls {
         this.resize();
     }
 
+    // show a short status line in the top-right corner; pass '' / null to hide it
+    setStatus(text, color = 0xffffff) {
+        const show = Boolean(text);
+        this._statusText.text = show ? String(text) : '';
+        this._statusText.style.fill = color;
+        this._statusBg.visible = this._statusText.visible = show;
+        this.resize();
+    }
+
+    // show `text` above the bar for a few seconds (a newer hint replaces the current one)
+    hint(text, seconds = 2.5) {
+        clearTimeout(this._hintTimer);
+        this._hintText.text = String(text || '');
+        this._hintBg.visible = this._hintText.visible = Boolean(text);
+        this.resize();
+        if (!text) return;
+        this._hintTimer = setTimeout(() => {
+            this._hintTimer = null;
+            this._hintBg.visible = this._hintText.visible = false;
+        }, seconds * 1000);
+    }
+
     resize() {
         const w = this.app.screen.width;
         const h = this.app.screen.height;
@@ -129,9 +184,40 @@ export class Controls {
 
             y += boxH + this.spacing;
         }
+
+        if (this._hintText && this._hintText.visible) {
+            const padX = 10, padY = 5;
+            const hy = Math.round(-totalHeight / 2 - this.spacing - padY);
+            this._hintText.x = 0;
+            this._hintText.y = hy;
+            const bw = this._hintText.width + padX * 2;
+            const bh = this._hintText.height + padY * 2;
+            this._hintBg.clear();
+            this._hintBg.beginFill(0x000000, 1);
+            this._hintBg.drawRoundedRect(-bw / 2, hy + padY - bh, bw, bh, 6);
+            this._hintBg.endFill();
+            this._hintBg.alpha = this.bgAlpha * 2;
+        }
+
+        // status badge: container is centered at the bottom, so position relative to that
+        if (this._statusText && this._statusText.visible) {
+            const padX = 8, padY = 4;
+            const sx = Math.round(w / 2 - this.margin - padX);
+            const sy = Math.round(this.margin + padY - this.container.y);
+            this._statusText.x = sx;
+            this._statusText.y = sy;
+            const bw = this._statusText.width + padX * 2;
+            const bh = this._statusText.height + padY * 2;
+            this._statusBg.clear();
+            this._statusBg.beginFill(0x000000, 1);
+            this._statusBg.drawRoundedRect(sx + padX - bw, sy - padY, bw, bh, 6);
+            this._statusBg.endFill();
+            this._statusBg.alpha = this.bgAlpha * 1.5;
+        }
     }
 
     destroy() {
+        clearTimeout(this._hintTimer);
         // resize listener removed — main owns resize lifecycle now
         if (this.container.parent) this.container.parent.removeChild(this.container);
         // destroy item graphics & texts
@@ -1,33 +1,138 @@
 import Swal from 'sweetalert2';
+import { PRIORITIES, PRIORITY_LABELS, DEFAULT_PRIORITY } from '../model/priority.js';
+import { parseQuickAdd, parseBulkAdd } from '../model/quickAdd.js';
+import { describeRecurrence } from '../model/recurrence.js';
 
-// onAdd: function(text) => void
+const esc = (s = '') => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const chip = (html) => `<span style="display:inline-block;padding:2px 8px;margin:2px;border-radius:10px;background:#eef3e8">${html}</span>`;
+
+// what parseQuickAdd() found, as a row of chips under the input
+function previewHtml(parsed, priority = parsed.priority || DEFAULT_PRIORITY) {
+    const out = [chip(`<b>${esc(parsed.text) || '<i>no title yet</i>'}</b>`)];
+    if (parsed.due) {
+        const day = new Date(parsed.due.slice(0, 10) + 'T00:00:00');
+        const date = day.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        out.push(chip(`📅 ${esc(date)}${parsed.dueTime ? ' ' + parsed.dueTime : ''}`));
+    }
+    if (parsed.recurrence) out.push(chip(`↻ ${esc(describeRecurrence(parsed.recurrence))}`));
+    if (priority !== DEFAULT_PRIORITY) out.push(chip(`⚑ ${PRIORITY_LABELS[priority]}`));
+    for (const tag of parsed.tags) out.push(chip(`#${esc(tag)}`));
+    if (parsed.subtasks && parsed.subtasks.length) out.push(chip(`${parsed.subtasks.length} step${parsed.subtasks.length === 1 ? '' : 's'}`));
+    return out.join('');
+}
+
+const fieldsOf = ({ priority, tags, due, dueTime, recurrence }) => ({ priority, tags, due, dueTime, recurrence });
+
+// onAdd: function(text, fields) => void   (fields: { priority, tags, due, dueTime, recurrence })
+// onAddMany: function([{ text, fields, subtasks: [text] }]) => void   for the multi-line bulk mode
+// The text is parsed as a quick-add line ("pay rent tomorrow 5pm !high #home every month", see model/quickAdd.js).
 export class Dialog {
-    constructor(onAdd) {
+    constructor(onAdd, onAddMany = null) {
         this.onAdd = onAdd;
+        this.onAddMany = onAddMany;
     }
 
     async open() {
-        const { value: text } = await Swal.fire({
+        const options = PRIORITIES.map(p =>
+            `<option value="${p}"${p === DEFAULT_PRIORITY ? ' selected' : ''}>${PRIORITY_LABELS[p]}</option>`).join('');
+        let bulkText = null;
+        const { value } = await Swal.fire({
             title: 'Add a Weed',
             input: 'text',
-            inputPlaceholder: 'Enter to-do text...',
+            inputPlaceholder: 'e.g. pay rent tomorrow 5pm !high #home every month',
+            html: `<label style="font-size:14px">Priority <select id="weed-priority" style="margin-left:6px">${options}</select></label>` +
+                `<div id="weed-preview" style="margin-top:10px;font-size:13px;min-height:26px"></div>` +
+                (this.onAddMany ? `<div style="margin-top:6px;font-size:12px"><a href="#" id="weed-bulk">Plant several at once…</a></div>` : ''),
             showCancelButton: true,
             confirmButtonText: 'Add',
             focusConfirm: false,
             allowEnterKey: true,
+            didOpen: () => {
+                const popup = Swal.getPopup();
+                const input = Swal.getInput();
+                const select = popup.querySelector('#weed-priority');
+                const preview = popup.querySelector('#weed-preview');
+                // the select follows a typed priority, and goes back to the picked one when it's deleted again
+                let picked = select.value;
+                const render = () => {
+                    const parsed = parseQuickAdd(input.value);
+                    select.value = parsed.priority || picked;
+                    preview.innerHTML = input.value.trim() ? previewHtml(parsed, select.value) : '';
+                };
+                input.addEventListener('input', render);
+                select.addEventListener('change', () => { picked = select.value; render(); });
+                render();
+
+                // pasting several lines (or the link) switches to the bulk dialog with what was typed so far
+                const toBulk = (text) => {
+                    bulkText = text;
+                    Swal.close();
+                };
+                const link = popup.querySelector('#weed-bulk');
+                if (link) link.addEventListener('click', (ev) => { ev.preventDefault(); toBulk(input.value); });
+                input.addEventListener('paste', (ev) => {
+                    const pasted = ev.clipboardData ? ev.clipboardData.getData('text') : '';
+                    if (!this.onAddMany || !/\S[^\n]*\n+\s*\S/.test(pasted)) return;
+                    ev.preventDefault();
+                    toBulk(input.value ? input.value + '\n' + pasted : pasted);
+                });
+            },
             preConfirm: (v) => {
-                if (!v || !v.trim()) {
+                const parsed = parseQuickAdd(v);
+                if (!parsed.text) {
                     Swal.showValidationMessage('Please enter text');
                     return false;
                 }
-                return v.trim();
+                const select = Swal.getPopup().querySelector('#weed-priority');
+                // a priority typed into the line (!high) wins over the select
+                return Object.assign(parsed, { priority: parsed.priority || (select ? select.value : DEFAULT_PRIORITY) });
+            }
+        });
+
+        if (bulkText != null) return this.openBulk(bulkText);
+        if (value && this.onAdd) this.onAdd(value.text, fieldsOf(value));
+    }
+
+    // one weed per line; indented lines become steps of the line above
+    async openBulk(initial = '') {
+        const { value } = await Swal.fire({
+            title: 'Plant several weeds',
+            input: 'textarea',
+            inputValue: initial,
+            inputPlaceholder: 'One task per line, e.g.\nsend notes tomorrow #work\nbook room !high\n    check projector',
+            inputAttributes: { rows: '8', spellcheck: 'false' },
+            html: `<div id="bulk-preview" style="max-height:180px;overflow:auto;text-align:left;font-size:13px"></div>`,
+            width: 600,
+            showCancelButton: true,
+            confirmButtonText: 'Plant',
+            focusConfirm: false,
+            didOpen: () => {
+                const input = Swal.getInput();
+                const preview = Swal.getPopup().querySelector('#bulk-preview');
+                const confirm = Swal.getConfirmButton();
+                const render = () => {
+                    const items = parseBulkAdd(input.value);
+                    preview.innerHTML = items.map(item => `<div>${previewHtml(item)}</div>`).join('');
+                    confirm.textContent = items.length ? `Plant ${items.length} weed${items.length === 1 ? '' : 's'}` : 'Plant';
+                };
+                input.addEventListener('input', render);
+                render();
+            },
+            preConfirm: (v) => {
+                const items = parseBulkAdd(v);
+                if (!items.length) {
+                    Swal.showValidationMessage('Please enter at least one line');
+                    return false;
+                }
+                return items;
             }
         });
 
-        if (text && this.onAdd) {
-            this.onAdd(text);
+        if (value && this.onAddMany) {
+            this.onAddMany(value.map(item => ({ text: item.text, fields: fieldsOf(item), subtasks: item.subtasks })));
         }
     }
 }
 
-export default Dialog;
\ No newline at end of file
+export default Dialog;
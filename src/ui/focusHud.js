@@ -0,0 +1,93 @@
+import { formatClock } from '../model/focus.js';
+
+// Top-center pomodoro panel: task, countdown and pause / stop / skip buttons. Hidden while the timer is idle.
+// timer: FocusTimer
+// opts: { taskText(id) => string, pomodoros(id) => number }
+export class FocusHud {
+    constructor(timer, opts = {}) {
+        this.timer = timer;
+        this.taskText = opts.taskText ?? (() => '');
+        this.pomodoros = opts.pomodoros ?? (() => 0);
+
+        const wrap = document.createElement('div');
+        Object.assign(wrap.style, {
+            position: 'fixed',
+            left: '50%',
+            top: '18px',
+            transform: 'translateX(-50%)',
+            display: 'none',
+            flexDirection: 'row',
+            gap: '10px',
+            alignItems: 'center',
+            padding: '6px 12px',
+            borderRadius: '10px',
+            background: 'rgba(255,255,255,0.92)',
+            boxShadow: '0 3px 8px rgba(0,0,0,0.25)',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '14px',
+            zIndex: 9999,
+            pointerEvents: 'auto'
+        });
+
+        this.label = document.createElement('span');
+        Object.assign(this.label.style, { maxWidth: '240px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' });
+        wrap.appendChild(this.label);
+
+        this.clock = document.createElement('span');
+        Object.assign(this.clock.style, { fontFamily: 'monospace', fontSize: '18px', fontWeight: '600', minWidth: '56px', textAlign: 'right' });
+        wrap.appendChild(this.clock);
+
+        const makeBtn = (text, title, onClick) => {
+            const b = document.createElement('button');
+            b.type = 'button';
+            b.textContent = text;
+            b.title = title;
+            Object.assign(b.style, { border: 'none', borderRadius: '6px', padding: '4px 8px', cursor: 'pointer', background: '#e8e8e8' });
+            b.addEventListener('click', () => {
+                onClick();
+                setTimeout(() => b.blur(), 0);
+            });
+            wrap.appendChild(b);
+            return b;
+        };
+        this.pauseButton = makeBtn('⏸', 'Pause', () => (this.timer.paused ? this.timer.resume() : this.timer.pause()));
+        this.nextButton = makeBtn('▶ Next', 'Start the next pomodoro', () => this.timer.skipBreak());
+        this.stopButton = makeBtn('■', 'Stop focusing', () => this.timer.stop());
+
+        document.body.appendChild(wrap);
+        this.wrap = wrap;
+
+        this._off = timer.on('changed', () => this.render());
+        // the countdown itself only needs a repaint once a second
+        this._interval = setInterval(() => this.render(), 1000);
+        this.render();
+    }
+
+    render() {
+        const t = this.timer;
+        this.wrap.style.display = t.active ? 'flex' : 'none';
+        if (!t.active) return;
+        const text = this.taskText(t.taskId) || 'Unnamed';
+        const count = this.pomodoros(t.taskId);
+        const tally = count ? ` · 🍅×${count}` : '';
+        if (t.phase === 'work') this.label.textContent = `🍅 ${text}${tally}`;
+        else if (t.phase === 'break') this.label.textContent = `☕ Break${tally}`;
+        else this.label.textContent = `Break over: ${text}${tally}`;
+        this.clock.textContent = t.phase === 'ready' ? '' : formatClock(t.remaining());
+        this.clock.style.opacity = t.paused ? '0.5' : '1';
+        this.pauseButton.style.display = t.phase === 'ready' ? 'none' : '';
+        this.pauseButton.textContent = t.paused ? '▶' : '⏸';
+        this.pauseButton.title = t.paused ? 'Resume' : 'Pause';
+        this.nextButton.style.display = t.phase === 'work' ? 'none' : '';
+        this.nextButton.textContent = t.phase === 'break' ? '⏭ Skip' : '▶ Next';
+        this.nextButton.title = t.phase === 'break' ? 'Skip the break' : 'Start the next pomodoro';
+    }
+
+    destroy() {
+        this._off();
+        clearInterval(this._interval);
+        if (this.wrap.parentNode) this.wrap.parentNode.removeChild(this.wrap);
+    }
+}
+
+export default FocusHud;
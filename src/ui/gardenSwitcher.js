@@ -0,0 +1,181 @@
+import Swal from 'sweetalert2';
+
+// Top-left garden picker: a <select> of gardens plus new / rename / duplicate / delete buttons.
+// registry: GardenRegistry
+// opts: {
+//   onSwitch(garden)         async, tears down the current world and builds `garden`
+//   onRename(garden)         the active garden was renamed
+//   flushActive()            async, write pending edits of the running garden (before duplicating)
+//   releaseActive()          async, tear down the running garden without building another (before deleting)
+// }
+export class GardenSwitcher {
+    constructor(registry, opts = {}) {
+        this.registry = registry;
+        this.onSwitch = opts.onSwitch ?? null;
+        this.onRename = opts.onRename ?? null;
+        this.flushActive = opts.flushActive ?? null;
+        this.releaseActive = opts.releaseActive ?? null;
+        this._busy = false;
+
+        const wrap = document.createElement('div');
+        Object.assign(wrap.style, {
+            position: 'fixed',
+            left: '18px',
+            top: '18px',
+            display: 'flex',
+            flexDirection: 'row',
+            gap: '6px',
+            alignItems: 'center',
+            zIndex: 9999,
+            fontFamily: 'Arial, sans-serif',
+            pointerEvents: 'auto'
+        });
+
+        const select = document.createElement('select');
+        Object.assign(select.style, {
+            height: '32px',
+            maxWidth: '200px',
+            borderRadius: '8px',
+            border: 'none',
+            padding: '0 8px',
+            fontSize: '14px',
+            background: 'rgba(255,255,255,0.9)',
+            boxShadow: '0 3px 8px rgba(0,0,0,0.25)',
+            cursor: 'pointer',
+        });
+        select.title = 'Switch garden';
+        select.addEventListener('change', () => {
+            this.switchTo(select.value);
+            setTimeout(() => select.blur(), 0);
+        });
+        wrap.appendChild(select);
+        this.select = select;
+
+        const makeBtn = (label, title, onClick) => {
+            const b = document.createElement('button');
+            b.type = 'button';
+            b.innerHTML = label;
+            b.title = title;
+            Object.assign(b.style, {
+                width: '32px',
+                height: '32px',
+                borderRadius: '8px',
+                border: 'none',
+                background: 'rgba(255,255,255,0.9)',
+                fontSize: '15px',
+                cursor: 'pointer',
+                boxShadow: '0 3px 8px rgba(0,0,0,0.25)',
+            });
+            b.addEventListener('click', () => {
+                onClick();
+                setTimeout(() => b.blur(), 0);
+            });
+            wrap.appendChild(b);
+            return b;
+        };
+        this.newButton = makeBtn('＋', 'New garden', () => this.createGarden());
+        this.renameButton = makeBtn('✎', 'Rename garden', () => this.renameGarden());
+        this.duplicateButton = makeBtn('⧉', 'Duplicate garden', () => this.duplicateGarden());
+        this.deleteButton = makeBtn('✕', 'Delete garden', () => this.deleteGarden());
+
+        document.body.appendChild(wrap);
+        this.container = wrap;
+        this.render();
+    }
+
+    render() {
+        this.select.innerHTML = '';
+        for (const g of this.registry.gardens) {
+            const opt = document.createElement('option');
+            opt.value = g.id;
+            opt.textContent = g.name;
+            this.select.appendChild(opt);
+        }
+        this.select.value = this.registry.activeId;
+        const canDelete = this.registry.gardens.length > 1;
+        this.deleteButton.disabled = !canDelete;
+        this.deleteButton.style.opacity = canDelete ? '1' : '0.45';
+    }
+
+    async _askName(title, value = '') {
+        const { value: name } = await Swal.fire({
+            title,
+            input: 'text',
+            inputValue: value,
+            inputPlaceholder: 'Garden name',
+            showCancelButton: true,
+            preConfirm: (v) => {
+                if (!v || !v.trim()) {
+                    Swal.showValidationMessage('Please enter a name');
+                    return false;
+                }
+                return v.trim();
+            }
+        });
+        return name || null;
+    }
+
+    // serialize switches so a rebuild is never started while another is running
+    async switchTo(id) {
+        if (this._busy) { this.render(); return; }
+        this._busy = true;
+        try {
+            const garden = await this.registry.setActive(id);
+            if (garden && this.onSwitch) await this.onSwitch(garden);
+        } finally {
+            this._busy = false;
+            this.render();
+        }
+    }
+
+    async createGarden() {
+        const name = await this._askName('New garden');
+        if (!name) return;
+        const g = await this.registry.create(name);
+        await this.switchTo(g.id);
+    }
+
+    async renameGarden() {
+        const cur = this.registry.active;
+        const name = await this._askName('Rename garden', cur.name);
+        if (!name) return;
+        await this.registry.rename(cur.id, name);
+        // let the running garden pick up the new name without a rebuild
+        if (this.onRename) this.onRename(cur);
+        this.render();
+    }
+
+    async duplicateGarden() {
+        const cur = this.registry.active;
+        const name = await this._askName('Duplicate garden', `${cur.name} (copy)`);
+        if (!name) return;
+        // make sure the copy includes edits still waiting on the save debounce
+        if (this.flushActive) await this.flushActive();
+        const g = await this.registry.duplicate(cur.id, name);
+        if (g) await this.switchTo(g.id);
+    }
+
+    async deleteGarden() {
+        const cur = this.registry.active;
+        if (this.registry.gardens.length <= 1) return;
+        const res = await Swal.fire({
+            icon: 'warning',
+            title: `Delete "${cur.name}"?`,
+            text: 'All of its weeds, flowers and history will be removed.',
+            showCancelButton: true,
+            confirmButtonText: 'Delete',
+            confirmButtonColor: '#c94b4b',
+        });
+        if (!res.isConfirmed) return;
+        // tear the current garden down first so it doesn't save itself back after removal
+        if (this.releaseActive) await this.releaseActive();
+        await this.registry.remove(cur.id);
+        await this.switchTo(this.registry.activeId);
+    }
+
+    destroy() {
+        if (this.container && this.container.parentNode) this.container.parentNode.removeChild(this.container);
+    }
+}
+
+export default GardenSwitcher;
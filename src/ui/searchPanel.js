@@ -0,0 +1,229 @@
+import { TASK_STATES, STATE_LABELS, EMPTY_FILTER, isEmptyFilter, filterTasks } from '../model/taskFilter.js';
+
+const RESULT_LIMIT = 200;
+
+// Search overlay on the right (Ctrl+F): text, tag, due range and state filters over the garden's tasks.
+// opts: {
+//   tasks()               current task records
+//   tags()                tags to offer in the tag filter
+//   isBlocked(id)         for the "Blocked" state
+//   onResults(ids)        matching task ids whenever the results change; null once the panel closes
+//   onSelect(id)          a result was picked
+// }
+export class SearchPanel {
+    constructor(opts = {}) {
+        this.tasks = opts.tasks ?? (() => []);
+        this.tags = opts.tags ?? (() => []);
+        this.isBlocked = opts.isBlocked ?? (() => false);
+        this.onResults = opts.onResults ?? (() => {});
+        this.onSelect = opts.onSelect ?? (() => {});
+        this.filter = Object.assign({}, EMPTY_FILTER);
+        this.results = [];
+        this.cursor = 0;
+        this.el = null;
+    }
+
+    get isOpen() {
+        return Boolean(this.el);
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    open() {
+        if (this.el) {
+            this.input.focus();
+            this.input.select();
+            return;
+        }
+        const panel = document.createElement('div');
+        Object.assign(panel.style, {
+            position: 'fixed',
+            right: '18px',
+            top: '60px',
+            width: '320px',
+            maxHeight: 'calc(100% - 150px)',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '6px',
+            padding: '10px',
+            borderRadius: '10px',
+            background: 'rgba(255,255,255,0.96)',
+            boxShadow: '0 6px 18px rgba(0,0,0,0.3)',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '13px',
+            zIndex: 9999,
+        });
+        // typing here must not reach the game's key handlers (S plants, E waters, ...)
+        for (const type of ['keydown', 'keyup']) panel.addEventListener(type, (e) => e.stopPropagation());
+        panel.addEventListener('keydown', (e) => this._onKey(e));
+
+        const top = document.createElement('div');
+        Object.assign(top.style, { display: 'flex', gap: '6px' });
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.placeholder = 'Search weeds…';
+        input.value = this.filter.text;
+        Object.assign(input.style, { flex: '1', padding: '6px 8px', fontSize: '14px' });
+        top.appendChild(input);
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.textContent = '✕';
+        closeBtn.title = 'Close (Esc)';
+        Object.assign(closeBtn.style, { border: 'none', background: 'transparent', cursor: 'pointer', fontSize: '16px' });
+        closeBtn.onclick = () => this.close();
+        top.appendChild(closeBtn);
+        panel.appendChild(top);
+
+        const row = document.createElement('div');
+        Object.assign(row.style, { display: 'flex', gap: '6px' });
+        const tagSelect = document.createElement('select');
+        tagSelect.style.flex = '1';
+        const stateSelect = document.createElement('select');
+        stateSelect.style.flex = '1';
+        for (const s of TASK_STATES) {
+            const opt = document.createElement('option');
+            opt.value = s;
+            opt.textContent = STATE_LABELS[s];
+            stateSelect.appendChild(opt);
+        }
+        stateSelect.value = this.filter.state;
+        row.appendChild(tagSelect);
+        row.appendChild(stateSelect);
+        panel.appendChild(row);
+
+        const dueRow = document.createElement('div');
+        Object.assign(dueRow.style, { display: 'flex', gap: '4px', alignItems: 'center' });
+        const fromInput = document.createElement('input');
+        fromInput.type = 'date';
+        fromInput.value = this.filter.dueFrom;
+        const toInput = document.createElement('input');
+        toInput.type = 'date';
+        toInput.value = this.filter.dueTo;
+        dueRow.append('Due', fromInput, '–', toInput);
+        panel.appendChild(dueRow);
+
+        const summary = document.createElement('div');
+        summary.style.opacity = '0.7';
+        panel.appendChild(summary);
+
+        const list = document.createElement('div');
+        Object.assign(list.style, { overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '2px' });
+        panel.appendChild(list);
+
+        const read = () => {
+            this.filter = {
+                text: input.value,
+                tag: tagSelect.value,
+                dueFrom: fromInput.value,
+                dueTo: toInput.value,
+                state: stateSelect.value,
+            };
+            this.cursor = 0;
+            this.refresh();
+        };
+        input.addEventListener('input', read);
+        for (const el of [tagSelect, stateSelect, fromInput, toInput]) el.addEventListener('change', read);
+
+        document.body.appendChild(panel);
+        Object.assign(this, { el: panel, input, tagSelect, summary, list });
+        this.refresh();
+        input.focus();
+        input.select();
+    }
+
+    close() {
+        if (!this.el) return;
+        if (this.el.parentNode) this.el.parentNode.removeChild(this.el);
+        this.el = null;
+        this.results = [];
+        this.onResults(null);
+    }
+
+    // re-run the filter (also called when the garden changes while the panel is open)
+    refresh() {
+        if (!this.el) return;
+        this._renderTags();
+        const empty = isEmptyFilter(this.filter);
+        this.results = empty ? [] : filterTasks(this.tasks(), this.filter, { isBlocked: this.isBlocked });
+        this.cursor = Math.min(this.cursor, Math.max(0, this.results.length - 1));
+        this.summary.textContent = empty ? 'Type or pick a filter to find weeds' :
+            `${this.results.length} match${this.results.length === 1 ? '' : 'es'}` +
+            (this.results.length ? ' · Enter to go, ↑↓ to pick' : '');
+        this._renderList();
+        this.onResults(empty ? null : this.results.map(t => t.id));
+    }
+
+    _renderTags() {
+        const tags = this.tags();
+        const current = this.filter.tag;
+        this.tagSelect.innerHTML = '';
+        for (const tag of [''].concat(tags)) {
+            const opt = document.createElement('option');
+            opt.value = tag;
+            opt.textContent = tag ? '#' + tag : 'Any tag';
+            this.tagSelect.appendChild(opt);
+        }
+        this.tagSelect.value = tags.includes(current) ? current : '';
+    }
+
+    _renderList() {
+        this.list.innerHTML = '';
+        this.results.slice(0, RESULT_LIMIT).forEach((task, i) => {
+            const item = document.createElement('div');
+            Object.assign(item.style, {
+                padding: '5px 8px',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                background: i === this.cursor ? '#e3efd9' : 'transparent',
+                opacity: task.completed ? '0.6' : '1',
+            });
+            const title = document.createElement('div');
+            title.textContent = (task.completed ? '✿ ' : '') + (task.text || 'Unnamed');
+            if (task.completed) title.style.textDecoration = 'line-through';
+            item.appendChild(title);
+            const meta = [];
+            if (task.due) meta.push('📅 ' + task.due.slice(0, 10) + (task.dueTime ? ' ' + task.dueTime : ''));
+            if (task.tags.length) meta.push(task.tags.map(t => '#' + t).join(' '));
+            if (meta.length) {
+                const sub = document.createElement('div');
+                Object.assign(sub.style, { fontSize: '11px', opacity: '0.7' });
+                sub.textContent = meta.join('  ');
+                item.appendChild(sub);
+            }
+            item.onmouseenter = () => { this.cursor = i; this._paintCursor(); };
+            item.onclick = () => this.onSelect(task.id);
+            this.list.appendChild(item);
+        });
+    }
+
+    _paintCursor() {
+        Array.from(this.list.children).forEach((el, i) => { el.style.background = i === this.cursor ? '#e3efd9' : 'transparent'; });
+        const el = this.list.children[this.cursor];
+        if (el && el.scrollIntoView) el.scrollIntoView({ block: 'nearest' });
+    }
+
+    _onKey(e) {
+        if ((e.ctrlKey || e.metaKey) && e.code === 'KeyF') {
+            e.preventDefault();
+            this.input.focus();
+            this.input.select();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (!this.results.length) return;
+            e.preventDefault();
+            const n = Math.min(this.results.length, RESULT_LIMIT);
+            this.cursor = (this.cursor + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+            this._paintCursor();
+        } else if (e.key === 'Enter' && this.results[this.cursor]) {
+            e.preventDefault();
+            this.onSelect(this.results[this.cursor].id);
+        }
+    }
+}
+
+export default SearchPanel;
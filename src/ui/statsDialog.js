@@ -0,0 +1,86 @@
+import Swal from 'sweetalert2';
+import { computeStats, formatSpan } from '../model/stats.js';
+
+const tile = (value, label, color = '#2e8b57') =>
+    `<div style="flex:1;min-width:90px;padding:8px 4px;border-radius:8px;background:#f3f6ef">` +
+    `<div style="font-size:22px;font-weight:bold;color:${color}">${value}</div>` +
+    `<div style="font-size:11px;opacity:0.7">${label}</div></div>`;
+
+// bars: [{ label, count }]; sized for the canvas' CSS box and sharp on high-dpi screens
+function drawBarChart(canvas, bars, color) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth || 480, h = canvas.clientHeight || 140;
+    canvas.width = w * dpr;
+    canvas.height = h * dpr;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, w, h);
+
+    const top = 14, bottom = 18;
+    const max = Math.max(1, ...bars.map(b => b.count));
+    const slot = w / bars.length;
+    const barW = Math.max(4, slot * 0.65);
+    ctx.font = '10px Arial, sans-serif';
+    ctx.textAlign = 'center';
+
+    ctx.strokeStyle = '#ccc';
+    ctx.beginPath();
+    ctx.moveTo(0, h - bottom + 0.5);
+    ctx.lineTo(w, h - bottom + 0.5);
+    ctx.stroke();
+
+    bars.forEach((b, i) => {
+        const cx = slot * i + slot / 2;
+        const bh = (h - top - bottom) * (b.count / max);
+        ctx.fillStyle = color;
+        ctx.fillRect(cx - barW / 2, h - bottom - bh, barW, bh);
+        ctx.fillStyle = '#333';
+        if (b.count) ctx.fillText(String(b.count), cx, h - bottom - bh - 3);
+        ctx.fillStyle = '#777';
+        if (b.label) ctx.fillText(b.label, cx, h - 5);
+    });
+}
+
+/**
+ * showStats(tasks)
+ * Swal screen with bloom counts, streaks, planting-to-bloom time and overdue counts for the
+ * given task records, plus bar charts of blooms per day (two weeks) and per week (eight weeks).
+ */
+export async function showStats(tasks, now = new Date()) {
+    const s = computeStats(tasks, now);
+    // every other day is labelled, ending with today
+    const dayLabel = (d, i) => ((s.perDay.length - 1 - i) % 2 ? '' : String(d.getDate()));
+    const weekLabel = (d) => d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    const html =
+        `<div style="display:flex;flex-wrap:wrap;gap:6px;margin-bottom:12px">` +
+        tile(s.today, 'bloomed today') +
+        tile(s.thisWeek, 'this week') +
+        tile(`${s.currentStreak}🔥`, `day streak (best ${s.longestStreak})`, '#d9822b') +
+        tile(formatSpan(s.avgBloomMs), 'avg. plant → bloom', '#3b6fae') +
+        tile(s.overdue, `overdue of ${s.open} open`, s.overdue ? '#b03a2e' : '#2e8b57') +
+        tile(s.lateBlooms, 'bloomed late', '#8a6d3b') +
+        `</div>` +
+        `<div style="text-align:left;font-size:13px;font-weight:bold">Blooms per day</div>` +
+        `<canvas id="stats-days" style="width:100%;height:140px"></canvas>` +
+        `<div style="text-align:left;font-size:13px;font-weight:bold;margin-top:8px">Blooms per week</div>` +
+        `<canvas id="stats-weeks" style="width:100%;height:140px"></canvas>` +
+        `<div style="font-size:11px;opacity:0.6;margin-top:6px">${s.totalBlooms} bloom${s.totalBlooms === 1 ? '' : 's'} in this garden so far</div>`;
+
+    await Swal.fire({
+        title: 'Garden stats',
+        html,
+        width: 620,
+        confirmButtonText: 'Close',
+        didOpen: () => {
+            const popup = Swal.getPopup();
+            drawBarChart(popup.querySelector('#stats-days'),
+                s.perDay.map((b, i) => ({ count: b.count, label: dayLabel(b.start, i) })), '#2e8b57');
+            drawBarChart(popup.querySelector('#stats-weeks'),
+                s.perWeek.map(b => ({ count: b.count, label: weekLabel(b.start) })), '#3b6fae');
+        },
+    });
+}
+
+export default showStats;
@@ -0,0 +1,70 @@
+import Swal from 'sweetalert2';
+import { colorToHex, hexToColor, normalizeTag } from '../model/tagStyles.js';
+
+const esc = (s = '') => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const COLUMNS = [
+    ['leafColor', 'Leaves'],
+    ['trunkColor', 'Stem'],
+    ['petalColor', 'Petals'],
+    ['centerColor', 'Center'],
+];
+
+/**
+ * editTagStyles(tagStyles, tagsInUse)
+ * Swal dialog with one row of color pickers per tag (table entries plus tags used in the garden).
+ * Tags without a table entry show their generated colors; saving a row adds it to the table,
+ * "reset" drops the entry again.
+ */
+export async function editTagStyles(tagStyles, tagsInUse = []) {
+    const tags = Array.from(new Set(tagStyles.tags.concat(tagsInUse.map(normalizeTag).filter(Boolean)))).sort();
+    const head = COLUMNS.map(([, label]) => `<th style="font-weight:normal;font-size:12px">${label}</th>`).join('');
+    const rows = tags.map((tag) => {
+        const style = tagStyles.styleOf(tag);
+        const inputs = COLUMNS.map(([key]) =>
+            `<td><input type="color" data-tag="${esc(tag)}" data-key="${key}" value="${colorToHex(style[key])}"></td>`).join('');
+        const custom = Boolean(tagStyles.get(tag));
+        return `<tr><td style="text-align:left">#${esc(tag)}</td>${inputs}` +
+            `<td><label style="font-size:12px"><input type="checkbox" data-reset="${esc(tag)}"${custom ? '' : ' disabled'}> reset</label></td></tr>`;
+    }).join('');
+    const html = tags.length
+        ? `<table style="margin:0 auto;border-spacing:6px 4px"><tr><th></th>${head}<th></th></tr>${rows}</table>` +
+          `<div style="margin-top:10px"><input id="new-tag" placeholder="new tag" style="width:140px"></div>`
+        : `<p>No tags yet.</p><div><input id="new-tag" placeholder="new tag" style="width:140px"></div>`;
+
+    const { value } = await Swal.fire({
+        title: 'Tag colors',
+        html,
+        width: 560,
+        showCancelButton: true,
+        confirmButtonText: 'Save',
+        focusConfirm: false,
+        // may be opened on top of the weed editor overlay
+        didOpen: () => { Swal.getContainer().style.zIndex = '10001'; },
+        preConfirm: () => {
+            const popup = Swal.getPopup();
+            const changed = {};
+            for (const input of popup.querySelectorAll('input[type=color]')) {
+                const tag = input.dataset.tag;
+                const color = hexToColor(input.value);
+                const before = tagStyles.styleOf(tag)[input.dataset.key];
+                if (color == null || color === before) continue;
+                (changed[tag] = changed[tag] || {})[input.dataset.key] = color;
+            }
+            const reset = Array.from(popup.querySelectorAll('input[data-reset]:checked')).map(i => i.dataset.reset);
+            const added = normalizeTag(popup.querySelector('#new-tag').value);
+            return { changed, reset, added };
+        }
+    });
+    if (!value) return false;
+
+    for (const tag of value.reset) tagStyles.remove(tag);
+    for (const [tag, style] of Object.entries(value.changed)) {
+        if (!value.reset.includes(tag)) tagStyles.set(tag, Object.assign(tagStyles.styleOf(tag), style));
+    }
+    // a new tag starts out with its generated colors so it can be tweaked next time
+    if (value.added && !tagStyles.get(value.added)) tagStyles.set(value.added, tagStyles.styleOf(value.added));
+    return true;
+}
+
+export default editTagStyles;
@@ -0,0 +1,261 @@
+import { TASK_GROUPS, GROUP_LABELS, groupTasks } from '../model/taskFilter.js';
+import { subtaskProgress } from '../model/taskStore.js';
+
+const WIDTH = 280;
+
+// open/closed survives switching gardens (a new WeedManager builds a new sidebar)
+let collapsedPref = typeof window !== 'undefined' && window.innerWidth < 900;
+const closedGroups = new Set(['done']);
+
+// Collapsible list of every task on the left, grouped by state and sorted by due date; the list
+// view of the same store the garden shows. Call refresh() when the tasks change.
+// opts: {
+//   tasks()                  current task records
+//   isBlocked(id)            for the Waiting group
+//   onToggle(id, done)       checkbox clicked; returns false when the change was refused
+//   onRename(id, text)       title edited (Enter or leaving the field)
+//   onHover(id)              pointer over an item (null when it leaves)
+//   onSelect(id)             the locate button was clicked
+// }
+export class TaskSidebar {
+    constructor(opts = {}) {
+        this.tasks = opts.tasks ?? (() => []);
+        this.isBlocked = opts.isBlocked ?? (() => false);
+        this.onToggle = opts.onToggle ?? (() => true);
+        this.onRename = opts.onRename ?? (() => {});
+        this.onHover = opts.onHover ?? (() => {});
+        this.onSelect = opts.onSelect ?? (() => {});
+        this.rows = new Map(); // task id -> { el, check, title, meta }
+        this._hoverId = null;
+
+        const panel = document.createElement('div');
+        Object.assign(panel.style, {
+            position: 'fixed',
+            left: '18px',
+            top: '62px',
+            width: WIDTH + 'px',
+            maxHeight: 'calc(100% - 160px)',
+            display: 'flex',
+            flexDirection: 'column',
+            borderRadius: '10px',
+            background: 'rgba(255,255,255,0.94)',
+            boxShadow: '0 6px 18px rgba(0,0,0,0.25)',
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '13px',
+            zIndex: 9998,
+        });
+        // typing a title must not reach the game's key handlers (S plants, E waters, ...)
+        for (const type of ['keydown', 'keyup']) panel.addEventListener(type, (e) => e.stopPropagation());
+
+        const header = document.createElement('button');
+        header.type = 'button';
+        Object.assign(header.style, {
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            padding: '8px 10px',
+            border: 'none',
+            background: 'transparent',
+            fontSize: '14px',
+            fontWeight: 'bold',
+            cursor: 'pointer',
+            textAlign: 'left',
+        });
+        header.addEventListener('click', () => {
+            this.setCollapsed(!this.collapsed);
+            setTimeout(() => header.blur(), 0);
+        });
+        panel.appendChild(header);
+
+        const body = document.createElement('div');
+        Object.assign(body.style, { overflowY: 'auto', padding: '0 6px 8px' });
+        panel.appendChild(body);
+
+        // one section per group; rows are moved between them as tasks change state
+        this.sections = {};
+        for (const g of TASK_GROUPS) {
+            const section = document.createElement('div');
+            const title = document.createElement('div');
+            Object.assign(title.style, {
+                padding: '6px 4px 3px',
+                fontSize: '11px',
+                fontWeight: 'bold',
+                textTransform: 'uppercase',
+                opacity: '0.6',
+                cursor: 'pointer',
+                userSelect: 'none',
+            });
+            title.addEventListener('click', () => {
+                if (closedGroups.has(g)) closedGroups.delete(g);
+                else closedGroups.add(g);
+                this.refresh();
+            });
+            const list = document.createElement('div');
+            section.appendChild(title);
+            section.appendChild(list);
+            body.appendChild(section);
+            this.sections[g] = { el: section, title, list };
+        }
+
+        document.body.appendChild(panel);
+        Object.assign(this, { el: panel, header, body });
+        this.setCollapsed(collapsedPref);
+    }
+
+    get collapsed() {
+        return this.body.style.display === 'none';
+    }
+
+    setCollapsed(collapsed) {
+        collapsedPref = collapsed;
+        this.body.style.display = collapsed ? 'none' : 'block';
+        this.el.style.width = collapsed ? 'auto' : WIDTH + 'px';
+        this.refresh();
+    }
+
+    refresh() {
+        if (!this.el) return;
+        const tasks = this.tasks();
+        const open = tasks.filter(t => !t.completed).length;
+        this.header.innerHTML = '';
+        this.header.append(`☰ Tasks (${open} open)`);
+        const arrow = document.createElement('span');
+        arrow.textContent = this.collapsed ? '▸' : '◂';
+        arrow.style.marginLeft = '10px';
+        this.header.appendChild(arrow);
+        if (this.collapsed) return;
+
+        const groups = groupTasks(tasks, { isBlocked: this.isBlocked });
+        const seen = new Set();
+        for (const g of TASK_GROUPS) {
+            const { el, title, list } = this.sections[g];
+            const items = groups[g];
+            el.style.display = items.length ? 'block' : 'none';
+            title.textContent = `${closedGroups.has(g) ? '▸' : '▾'} ${GROUP_LABELS[g]} (${items.length})`;
+            list.style.display = closedGroups.has(g) ? 'none' : 'block';
+            // appendChild moves existing rows, so this also reorders them
+            for (const task of items) {
+                const row = this.rows.get(task.id) || this._createRow(task.id);
+                this._fillRow(row, task, g);
+                list.appendChild(row.el);
+                seen.add(task.id);
+            }
+        }
+        for (const [id, row] of this.rows) {
+            if (seen.has(id)) continue;
+            if (row.el.parentNode) row.el.parentNode.removeChild(row.el);
+            this.rows.delete(id);
+            if (this._hoverId === id) this._hover(null);
+        }
+    }
+
+    _createRow(id) {
+        const el = document.createElement('div');
+        Object.assign(el.style, {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            padding: '3px 4px',
+            borderRadius: '6px',
+        });
+        el.addEventListener('mouseenter', () => this._hover(id));
+        el.addEventListener('mouseleave', () => this._hover(null));
+
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.style.cursor = 'pointer';
+        check.addEventListener('change', () => {
+            // a refused change (blocked, unfinished steps) puts the box back
+            if (this.onToggle(id, check.checked) === false) check.checked = !check.checked;
+        });
+
+        const text = document.createElement('div');
+        Object.assign(text.style, { flex: '1', minWidth: '0' });
+        const title = document.createElement('input');
+        title.type = 'text';
+        Object.assign(title.style, {
+            width: '100%',
+            boxSizing: 'border-box',
+            border: '1px solid transparent',
+            borderRadius: '4px',
+            background: 'transparent',
+            padding: '1px 3px',
+            font: 'inherit',
+        });
+        title.addEventListener('focus', () => { title.style.borderColor = '#9bbf8a'; title.style.background = '#fff'; });
+        const commit = () => {
+            title.style.borderColor = 'transparent';
+            title.style.background = 'transparent';
+            const task = this.tasks().find(t => t.id === id);
+            const value = title.value.trim();
+            if (!task) return;
+            if (!value) title.value = task.text;
+            else if (value !== task.text) this.onRename(id, value);
+        };
+        title.addEventListener('blur', commit);
+        title.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                title.blur();
+            } else if (e.key === 'Escape') {
+                const task = this.tasks().find(t => t.id === id);
+                if (task) title.value = task.text;
+                title.blur();
+            }
+        });
+        const meta = document.createElement('div');
+        Object.assign(meta.style, { fontSize: '11px', opacity: '0.65', padding: '0 4px' });
+        text.appendChild(title);
+        text.appendChild(meta);
+
+        const locate = document.createElement('button');
+        locate.type = 'button';
+        locate.textContent = '⌖';
+        locate.title = 'Show in the garden';
+        Object.assign(locate.style, { border: 'none', background: 'transparent', cursor: 'pointer', fontSize: '15px', padding: '0 2px' });
+        locate.addEventListener('click', () => {
+            this.onSelect(id);
+            setTimeout(() => locate.blur(), 0);
+        });
+
+        el.appendChild(check);
+        el.appendChild(text);
+        el.appendChild(locate);
+        const row = { el, check, title, meta };
+        this.rows.set(id, row);
+        return row;
+    }
+
+    _fillRow(row, task, group) {
+        row.check.checked = task.completed;
+        // leave a title alone while it is being edited
+        if (document.activeElement !== row.title) row.title.value = task.text;
+        row.title.style.textDecoration = task.completed ? 'line-through' : 'none';
+        row.title.style.color = group === 'overdue' ? '#b03a2e' : task.completed ? '#777' : '#111';
+        const meta = [];
+        if (task.due) meta.push('📅 ' + task.due.slice(0, 10) + (task.dueTime ? ' ' + task.dueTime : ''));
+        const { done, total } = subtaskProgress(task);
+        if (total) meta.push(`☑ ${done}/${total}`);
+        if (task.tags.length) meta.push(task.tags.map(t => '#' + t).join(' '));
+        row.meta.textContent = meta.join('  ');
+        row.meta.style.display = meta.length ? 'block' : 'none';
+    }
+
+    _hover(id) {
+        if (this._hoverId === id) return;
+        const prev = this.rows.get(this._hoverId);
+        if (prev) prev.el.style.background = 'transparent';
+        this._hoverId = id;
+        const row = this.rows.get(id);
+        if (row) row.el.style.background = '#e3efd9';
+        this.onHover(id);
+    }
+
+    destroy() {
+        if (this._hoverId) this._hover(null);
+        if (this.el && this.el.parentNode) this.el.parentNode.removeChild(this.el);
+        this.el = null;
+        this.rows.clear();
+    }
+}
+
+export default TaskSidebar;
@@ -1,27 +1,200 @@
 import * as PIXI from 'pixi.js';
+import Swal from 'sweetalert2';
 import { Dialog } from './ui/dialog.js';
 import { createBranchyWeed } from './plants/branchyWeed.js';
 import { createFlowerBush } from './plants/flowerBush.js';
+import { migrate, createGardenMeta, createTaskId } from './storage/schema.js';
+import { createStorage } from './storage/index.js';
+import { FORMATS, allAccepts, formatForFileName } from './io/formats.js';
+import { downloadText, pickTextFile, datedFileName } from './io/fileTransfer.js';
+import { History, diffSnapshots } from './history.js';
+import { TabSync } from './sync/tabSync.js';
+import { SyncEngine } from './sync/syncEngine.js';
+import { TaskStore, subtaskProgress } from './model/taskStore.js';
+import { PRIORITIES, PRIORITY_LABELS, priorityStyle } from './model/priority.js';
+import { TagStyles, normalizeTag, colorToHex } from './model/tagStyles.js';
+import { editTagStyles } from './ui/tagStylesDialog.js';
+import { FREQUENCIES, WEEKDAY_NAMES, normalizeRecurrence, describeRecurrence, nextOccurrence } from './model/recurrence.js';
+import { deadlineState, thornLevel } from './model/deadline.js';
+import { REMINDER_LEADS, describeLead } from './model/reminder.js';
+import { ReminderScheduler, notificationsAllowed, requestNotificationPermission } from './reminders/reminderScheduler.js';
+import { FocusTimer, addFocusSession, formatDuration } from './model/focus.js';
+import { FocusHud } from './ui/focusHud.js';
+import { SearchPanel } from './ui/searchPanel.js';
+import { TaskSidebar } from './ui/taskSidebar.js';
+import { showStats } from './ui/statsDialog.js';
+import { openArchive } from './ui/archiveDialog.js';
+import { flowerAge } from './model/compost.js';
+
+// how often to check whether recurring flowers are due to regrow
+const REGROW_CHECK_MS = 30 * 1000;
+// a bloomed flower is redrawn this many times over its life (see _refreshAge)
+const AGE_STEPS = 20;
+
+// deadline look (see model/deadline.js): recomputed from the clock about once a second
+const DEADLINE_REFRESH_S = 1;
+const DEADLINE_GROWTH = 0.45;        // extra plant scale at full urgency
+const DEADLINE_TINT = 0xffa060;      // hue the plant drifts toward as the due date nears
+const OVERDUE_TINT = 0xff5040;
+const OVERDUE_SPARKLE = { rate: 0.12, chance: 1, color: 0xff5a3c };
+
+// gap between weeds planted together by addWeeds (a bit over the 64px _findSpawnX keeps free)
+const BULK_SPACING = 80;
+
+// "blocked by" vines between weeds
+const VINE_COLOR = 0x3f7a2a;
+const VINE_LEAF_COLOR = 0x5fa84a;
+const VINE_FALL_S = 1.2;             // how long a vine takes to drop away once its blocker blooms
+
+// mix two 0xRRGGBB colors (t = 0 gives a, 1 gives b)
+function lerpColor(a, b, t) {
+    const ch = (shift) => Math.round(((a >> shift) & 0xff) + ((((b >> shift) & 0xff) - ((a >> shift) & 0xff)) * t));
+    return (ch(16) << 16) | (ch(8) << 8) | ch(0);
+}
+
+// escape user text for Swal html bodies
+const esc = (s = '') => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// [{ index, text, problems }] from an import as a short html list (first 20)
+function importProblemList(errors) {
+    const items = errors.slice(0, 20).map(e =>
+        `<li>#${e.index + 1}${e.text ? ` "${esc(e.text)}"` : ''}: ${esc(e.problems.join(', '))}</li>`).join('');
+    const more = errors.length > 20 ? `<li>…and ${errors.length - 20} more</li>` : '';
+    return `<ul style="text-align:left;max-height:160px;overflow:auto;font-size:13px">${items}${more}</ul>`;
+}
 
 export class WeedManager {
     // app: PIXI.Application, world: PIXI.Container (world), player: PIXI.Container (player), terrain: optional Terrain
-    constructor(app, world, player, terrain = null) {
+    // opts: { storage: adapter or 'localStorage' | 'indexedDB' | 'memory', storageKey, gardenName,
+    //         saveDelay: ms to debounce saves, historyLimit, tabSync: false to disable cross-tab sync,
+    //         sync: { endpoint, gardenId, onStatus } to sync with a REST backend,
+    //         store: TaskStore to render (a fresh one by default),
+    //         tagStyles: TagStyles table coloring tagged weeds (shared between gardens),
+    //         reminders: false to disable due-date notifications,
+    //         onRevealWeed: (weed, { movePlayer }) => void to bring a weed into view (from a clicked
+    //                       notification, or with movePlayer from a search result),
+    //         onHint: (text, seconds) => void for short messages such as why an action was refused (e.g. Controls.hint) }
+    // The tasks themselves live in the TaskStore; WeedManager draws them and turns input into store calls.
+    constructor(app, world, player, terrain = null, opts = {}) {
         this.app = app;
         this.world = world;
         this.player = player;
         this.terrain = terrain;
 
-        this.weeds = []; // { container, text, x, y, label, bg, graphic, completed, hits, strike, check, ... }
-        this.dialog = new Dialog(this.addWeed.bind(this));
+        this.store = opts.store ?? new TaskStore();
+        this.tagStyles = opts.tagStyles ?? new TagStyles();
+        this.weeds = []; // views: { id, task (live record), container, x, y, label, bg, graphic, strike, check, flower, bloomed, ... }
+        this.dialog = new Dialog(this.addWeed.bind(this), this.addWeeds.bind(this));
 
         this._waters = []; // active water particles: { gfx, start, target, elapsed, dur, weed }
         this._splashes = []; // splash remnants: { gfx, elapsed, dur }
         this._swayTime = 0;
+        this._deadlineAcc = DEADLINE_REFRESH_S;
+
+        // default key predates the versioned envelope; _load() upgrades whatever is stored under it in place
+        this.storageKey = opts.storageKey ?? 'todo-garden-weeds-v1';
+        this.garden = createGardenMeta({ name: opts.gardenName });
+        this._gardenName = opts.gardenName ?? null;
+        this.storage = createStorage(opts.storage ?? 'localStorage');
+
+        // _save() only schedules a write; many calls within saveDelay collapse into one
+        this.saveDelay = opts.saveDelay ?? 300;
+        this._saveTimer = null;
+        this._regrowTimer = null;
+        this._loaded = false;
+        // set when the stored garden couldn't be read; nothing is written then, so it isn't overwritten
+        this._saveBlocked = null;
+        this._destroyed = false;
+        // a copy of the garden in localStorage while an async (IndexedDB) write may still be cut off
+        this.pendingKey = this.storageKey + ':pending';
+        this._flushHandler = () => { this._flushOnHide(); };
+        this._visibilityHandler = () => { if (document.visibilityState === 'hidden') this._flushOnHide(); };
+        window.addEventListener('pagehide', this._flushHandler);
+        document.addEventListener('visibilitychange', this._visibilityHandler);
+
+        // undo/redo of garden operations, persisted next to the garden under historyKey
+        this.historyKey = this.storageKey + ':history';
+        this.history = new History({
+            limit: opts.historyLimit ?? 50,
+            apply: (id, record) => this._applyTaskState(id, record),
+            onChange: () => this._updateHistoryButtons(),
+        });
+        this._keyHandler = (e) => this._onKeyDown(e);
+        window.addEventListener('keydown', this._keyHandler);
+
+        // live sync with other tabs: each flush bumps the rev of changed tasks and broadcasts them
+        this.tabSync = (opts.tabSync === false) ? null : new TabSync((msg) => this._onSyncMessage(msg));
+
+        // optional device sync; started once the local garden has loaded
+        this.sync = null;
+        if (opts.sync && opts.sync.endpoint) {
+            this.sync = new SyncEngine({
+                endpoint: opts.sync.endpoint,
+                gardenId: opts.sync.gardenId ?? this.storageKey,
+                clientId: this.tabSync ? this.tabSync.tabId : createTaskId(),
+                storage: this.storage,
+                logKey: this.storageKey + ':sync',
+                getLocal: (id) => this.store.syncState(id),
+                applyRemote: (tasks, deleted) => this._mergeRemoteFields(tasks, deleted),
+                onStatus: opts.sync.onStatus,
+            });
+        }
+
+        this._unsubscribe = [
+            this.store.on('added', (e) => this._onTaskAdded(e)),
+            this.store.on('updated', (e) => this._onTaskUpdated(e)),
+            this.store.on('removed', (e) => this._onTaskRemoved(e)),
+            this.tagStyles.on('changed', () => { for (const w of this.weeds) this._restyle(w); }),
+        ];
+
+        this.onRevealWeed = opts.onRevealWeed ?? null;
+        this.onHint = opts.onHint ?? null;
+
+        // vines for "blocked by" links live behind the weeds; rebuilt from the store when it changes
+        this._vineLayer = new PIXI.Container();
+        this._vineLayer.name = 'vines';
+        this.world.addChild(this._vineLayer);
+        this._vines = new Map(); // 'blockerId>blockedId' -> { key, from, to, gfx, fall: seconds since the blocker bloomed, or null }
+        this._vinesDirty = true;
+        this.reminders = opts.reminders === false ? null : new ReminderScheduler({
+            store: this.store,
+            onOpen: (id) => this.revealWeed(id),
+        });
+
+        // pomodoro focus on one weed; every finished pomodoro waters it once
+        this.focus = new FocusTimer();
+        this._unsubscribe.push(this.focus.on('session', (e) => this._onFocusSession(e)));
+        this.focusHud = new FocusHud(this.focus, {
+            taskText: (id) => (this.store.get(id) || {}).text,
+            pomodoros: (id) => this.store.has(id) ? this.store.get(id).focus.pomodoros : 0,
+        });
+
+        // Ctrl+F search; matching weeds are highlighted and show their labels from any distance
+        this._highlights = null; // Set of task ids, or null when no search is active
+        this._selectedId = null;
+        this._listsDirty = false; // search results and the task list need a refresh
+        this.search = new SearchPanel({
+            tasks: () => this._gardenTasks(),
+            tags: () => this._knownTags(),
+            isBlocked: (id) => this.store.isBlocked(id),
+            onResults: (ids) => this._setHighlights(ids),
+            onSelect: (id) => this.revealWeed(id, { movePlayer: true }),
+        });
 
-        this.storageKey = 'todo-garden-weeds-v1';
+        // the same tasks as a plain list; hovering an item outlines its weed
+        this._hoverId = null;
+        this.sidebar = new TaskSidebar({
+            tasks: () => this._gardenTasks(),
+            isBlocked: (id) => this.store.isBlocked(id),
+            onToggle: (id, done) => this.setTaskDone(id, done),
+            onRename: (id, text) => this.renameTask(id, text),
+            onHover: (id) => this._setHovered(id),
+            onSelect: (id) => this.revealWeed(id),
+        });
 
         this.initAddWeedButton();
-        this._load();
+        // resolves once the stored garden has been spawned
+        this.ready = this._load();
     }
 
     initAddWeedButton() {
@@ -60,6 +233,31 @@ export class WeedManager {
         wrap.appendChild(addBtn);
         this.addWeedButton = addBtn;
 
+        // undo / redo / export / import share the same square look
+        const fileBtnStyle = {
+            width: '48px',
+            height: '48px',
+            borderRadius: '10px',
+            background: '#3b6fae',
+            color: '#fff',
+            fontSize: '20px',
+            border: 'none',
+            cursor: 'pointer',
+            boxShadow: '0 3px 8px rgba(0,0,0,0.25)',
+        };
+
+        const statsBtn = document.createElement('button');
+        statsBtn.type = 'button';
+        statsBtn.innerHTML = '📊';
+        Object.assign(statsBtn.style, fileBtnStyle, { background: '#2e8b57' });
+        statsBtn.title = 'Garden stats';
+        statsBtn.addEventListener('click', () => {
+            showStats(this.store.list());
+            setTimeout(() => statsBtn.blur(), 0);
+        });
+        wrap.appendChild(statsBtn);
+        this.statsButton = statsBtn;
+
         const clearBtn = document.createElement('button');
         clearBtn.type = 'button';
         clearBtn.innerHTML = '🗑';
@@ -76,26 +274,325 @@ export class WeedManager {
         });
         clearBtn.title = 'Clear garden (remove all weeds & flowers)';
         clearBtn.addEventListener('click', () => {
-            const ok = window.confirm('Clear the garden? This will remove all weeds and flowers.');
+            const ok = window.confirm('Clear the garden? This will remove all weeds and flowers, and empty the compost archive.');
             if (!ok) return;
-            this.clearAllWeeds();
+            this._recordChange('Clear garden', () => this.clearAllWeeds());
             setTimeout(() => clearBtn.blur(), 0);
         });
         wrap.appendChild(clearBtn);
         this.clearGardenButton = clearBtn;
 
+        const searchBtn = document.createElement('button');
+        searchBtn.type = 'button';
+        searchBtn.innerHTML = '🔍';
+        Object.assign(searchBtn.style, fileBtnStyle, { background: '#8a6d3b' });
+        searchBtn.title = 'Search weeds (Ctrl+F)';
+        searchBtn.addEventListener('click', () => {
+            this.search.toggle();
+            setTimeout(() => searchBtn.blur(), 0);
+        });
+        wrap.appendChild(searchBtn);
+        this.searchButton = searchBtn;
+
+        const undoBtn = document.createElement('button');
+        undoBtn.type = 'button';
+        undoBtn.innerHTML = '↶';
+        Object.assign(undoBtn.style, fileBtnStyle, { background: '#6b6b6b' });
+        undoBtn.addEventListener('click', () => {
+            this.undo();
+            setTimeout(() => undoBtn.blur(), 0);
+        });
+        wrap.appendChild(undoBtn);
+        this.undoButton = undoBtn;
+
+        const redoBtn = document.createElement('button');
+        redoBtn.type = 'button';
+        redoBtn.innerHTML = '↷';
+        Object.assign(redoBtn.style, fileBtnStyle, { background: '#6b6b6b' });
+        redoBtn.addEventListener('click', () => {
+            this.redo();
+            setTimeout(() => redoBtn.blur(), 0);
+        });
+        wrap.appendChild(redoBtn);
+        this.redoButton = redoBtn;
+
+        const exportBtn = document.createElement('button');
+        exportBtn.type = 'button';
+        exportBtn.innerHTML = '⬇';
+        Object.assign(exportBtn.style, fileBtnStyle);
+        exportBtn.title = 'Export garden to a file';
+        exportBtn.addEventListener('click', () => {
+            this.exportGarden();
+            setTimeout(() => exportBtn.blur(), 0);
+        });
+        wrap.appendChild(exportBtn);
+        this.exportGardenButton = exportBtn;
+
+        const importBtn = document.createElement('button');
+        importBtn.type = 'button';
+        importBtn.innerHTML = '⬆';
+        Object.assign(importBtn.style, fileBtnStyle);
+        importBtn.title = 'Import garden from a file';
+        importBtn.addEventListener('click', () => {
+            this.importGarden();
+            setTimeout(() => importBtn.blur(), 0);
+        });
+        wrap.appendChild(importBtn);
+        this.importGardenButton = importBtn;
+
+        const archiveBtn = document.createElement('button');
+        archiveBtn.type = 'button';
+        archiveBtn.innerHTML = '🍂';
+        Object.assign(archiveBtn.style, fileBtnStyle, { background: '#8a6d3b' });
+        archiveBtn.title = 'Compost archive (restore old flowers)';
+        archiveBtn.addEventListener('click', () => {
+            this.openArchive();
+            setTimeout(() => archiveBtn.blur(), 0);
+        });
+        wrap.appendChild(archiveBtn);
+        this.archiveButton = archiveBtn;
+
         document.body.appendChild(wrap);
         this._weedUiWrap = wrap;
+        this._updateHistoryButtons();
     }
 
-    clearAllWeeds() {
+    _updateHistoryButtons() {
+        const set = (btn, enabled, title) => {
+            if (!btn) return;
+            btn.disabled = !enabled;
+            btn.style.opacity = enabled ? '1' : '0.45';
+            btn.style.cursor = enabled ? 'pointer' : 'default';
+            btn.title = title;
+        };
+        set(this.undoButton, this.history.canUndo, this.history.canUndo ? `Undo ${this.history.undoLabel} (Ctrl+Z)` : 'Nothing to undo');
+        set(this.redoButton, this.history.canRedo, this.history.canRedo ? `Redo ${this.history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo');
+    }
+
+    // Ctrl/Cmd+F search, Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (ignored while typing in a field or a dialog is up)
+    _onKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.code === 'KeyF' && !this._activeWeedDialog && !Swal.isVisible()) {
+            e.preventDefault();
+            this.search.open();
+            return;
+        }
+        const t = e.target;
+        if (t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.isContentEditable)) return;
+        if (this._activeWeedDialog || Swal.isVisible()) return;
+        if (e.code === 'KeyZ' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((e.code === 'KeyZ' && e.shiftKey) || e.code === 'KeyY') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    undo() {
+        if (this.history.undo()) this._save();
+    }
+
+    redo() {
+        if (this.history.redo()) this._save();
+    }
+
+    _snapshotById() {
+        return this.store.snapshot();
+    }
+
+    // run fn() and record whatever it changed in the garden as one undoable step
+    _recordChange(label, fn) {
+        const before = this._snapshotById();
+        let result;
+        try {
+            result = fn();
+        } finally {
+            this.history.record(label, diffSnapshots(before, this._snapshotById()));
+            this._save();
+        }
+        return result;
+    }
+
+    // make the garden match `record` for task `id` (null removes it); used by undo/redo.
+    // Stamps are left alone so the next flush stamps the restored state as a new change.
+    _applyTaskState(id, record) {
+        this.store.restore(id, record);
+    }
+
+    _weedById(id) {
+        return this.weeds.find(w => w.id === id) || null;
+    }
+
+    // ask the host to bring a weed into view (opts: { movePlayer } to walk the player over as well)
+    revealWeed(id, opts = {}) {
+        const weed = this._weedById(id);
+        if (!weed) return null;
+        if (this._highlights) {
+            this._selectedId = id;
+            this._paintHighlights();
+        }
+        if (this.onRevealWeed) this.onRevealWeed(weed, opts);
+        return weed;
+    }
+
+    // check off / reopen a task from outside the world (the task list). Refuses blocked tasks and
+    // ones with unfinished steps like watering does; returns whether the task is now in that state.
+    setTaskDone(id, done) {
+        const weed = this._weedById(id);
+        const task = weed && weed.task;
+        if (!task) return false;
+        if (task.completed === done) return true;
+        if (!done) {
+            this._recordChange('Reopen', () => this._unbloom(weed));
+            return true;
+        }
+        const blockers = this.store.blockersOf(id);
+        if (blockers.length) {
+            if (this.onHint) this.onHint(`"${task.text}" is blocked by ${blockers.map(b => `"${b.text}"`).join(', ')}`);
+            return false;
+        }
+        if (!this._recordChange('Complete', () => this._bloom(weed))) {
+            if (this.onHint) this.onHint(`"${task.text}" still has unfinished steps`);
+            return false;
+        }
+        return true;
+    }
+
+    // change a task's title (undoable); the weed label follows through the store update
+    renameTask(id, text) {
+        const task = this.store.get(id);
+        if (!task || !text || text === task.text) return;
+        this._recordChange('Rename', () => this.store.update(id, { text }));
+    }
+
+    // outline the weed of the task under the pointer in the task list (null clears)
+    _setHovered(id) {
+        const prev = this._weedById(this._hoverId);
+        if (prev) prev.outline.visible = false;
+        this._hoverId = id;
+        const weed = this._weedById(id);
+        if (weed) this._drawOutline(weed);
+    }
+
+    _drawOutline(weed) {
+        const g = weed.outline;
+        g.clear();
+        try {
+            const vis = weed.container.getChildByName && weed.container.getChildByName('visuals') || weed.container.children[0];
+            const b = vis.getLocalBounds();
+            const pad = 8;
+            const x = vis.x + b.x * vis.scale.x - pad, y = vis.y + b.y * vis.scale.y - pad;
+            g.lineStyle(3, 0x2e8b57, 0.9);
+            g.drawRoundedRect(x, y, b.width * vis.scale.x + pad * 2, b.height * vis.scale.y + pad * 2, 10);
+        } catch (e) {}
+        g.visible = true;
+    }
+
+    // highlight the weeds with these task ids (null clears)
+    _setHighlights(ids) {
+        this._highlights = ids ? new Set(ids) : null;
+        if (!this._highlights || !this._highlights.has(this._selectedId)) this._selectedId = null;
+        this._paintHighlights();
+    }
+
+    _paintHighlights() {
         for (const w of this.weeds) {
-            try {
-                if (w.container && w.container.parent) this.world.removeChild(w.container);
-                if (w.container && typeof w.container.destroy === 'function') w.container.destroy({ children: true, texture: false, baseTexture: false });
-            } catch (e) {}
+            const on = Boolean(this._highlights && this._highlights.has(w.id));
+            const selected = on && w.id === this._selectedId;
+            w.halo.clear();
+            w.halo.visible = on;
+            if (!on) continue;
+            w.halo.beginFill(selected ? 0xfff27a : 0xfff7c0, selected ? 0.55 : 0.35);
+            w.halo.drawEllipse(0, 0, selected ? 44 : 34, selected ? 14 : 10);
+            w.halo.endFill();
+            w.halo.lineStyle(2, selected ? 0xffcc00 : 0xffe27a, 0.9);
+            w.halo.drawEllipse(0, 0, selected ? 44 : 34, selected ? 14 : 10);
+        }
+    }
+
+    // store changes that came from this garden are saved; loads and remote merges take care of themselves
+    _saveAfter(source) {
+        if (source !== 'load' && source !== 'remote') this._save();
+    }
+
+    _onTaskAdded({ task, source }) {
+        // composted tasks only live in the archive
+        if (task.archivedAt) {
+            this._saveAfter(source);
+            return;
         }
-        this.weeds.length = 0;
+        // tasks without a position (e.g. from a checklist import) get a free spot near the player
+        if (!Number.isFinite(task.x)) task = this.store.update(task.id, { x: this._findSpawnX() }, { source });
+        this._spawnWeed(task);
+        this._vinesDirty = true;
+        this._listsDirty = true;
+        this._saveAfter(source);
+    }
+
+    _onTaskUpdated({ task, fields, source }) {
+        const weed = this._weedById(task.id);
+        // composting takes the weed out of the world; restoring (or undoing the compost) plants it again
+        if (task.archivedAt || fields.includes('archivedAt')) {
+            if (weed && task.archivedAt) this._removeWeed(weed);
+            else if (!weed && !task.archivedAt) this._spawnWeed(task);
+            this._vinesDirty = true;
+            this._listsDirty = true;
+            this._saveAfter(source);
+            return;
+        }
+        if (!weed) return;
+        if (fields.includes('text') || fields.includes('subtasks') || fields.includes('recurrence')) {
+            try { if (weed.label) weed.label.text = this._labelText(task); } catch (e) {}
+            if (weed.bloomed) this._drawStrike(weed);
+        }
+        // one branch per subtask and a priority-sized plant, so it is regrown when either changes
+        if ((fields.includes('subtasks') || fields.includes('priority')) && !weed.bloomed && !task.completed) this._replacePlant(weed);
+        if (fields.includes('priority')) this._styleExclaim(weed);
+        if (fields.includes('tags')) this._restyle(weed);
+        if (fields.includes('due') && !weed.bloomed && !task.completed) this._refreshDeadline(weed, Date.now());
+        if (task.completed && !weed.bloomed) this._applyCompletedVisuals(weed);
+        else if (!task.completed && weed.bloomed) this._clearCompletedVisuals(weed);
+        // a weed being dragged follows the pointer; the drop writes its own x
+        if (fields.includes('x') && !weed._drag) this._moveWeedTo(weed, task.x);
+        if (fields.includes('blockedBy') || fields.includes('completed')) this._vinesDirty = true;
+        if (task.completed && this.focus.taskId === task.id) this.focus.stop();
+        if (!fields.every(f => f === 'x' || f === 'hits')) this._listsDirty = true;
+        this._saveAfter(source);
+    }
+
+    _onTaskRemoved({ task, source }) {
+        const weed = this._weedById(task.id);
+        if (weed) this._removeWeed(weed);
+        if (this.focus.taskId === task.id) this.focus.stop();
+        this._vinesDirty = true;
+        this._listsDirty = true;
+        this._saveAfter(source);
+    }
+
+    _moveWeedTo(weed, x) {
+        weed.x = x;
+        weed.y = this.terrain ? this.terrain.groundY(x) : weed.y;
+        if (weed.container) {
+            weed.container.x = weed.x;
+            weed.container.y = weed.y;
+        }
+    }
+
+    // reposition a weed along the ground (undoable)
+    moveWeed(weed, x) {
+        if (!weed || !Number.isFinite(x)) return;
+        this._recordChange('Move', () => this.store.update(weed.id, { x }));
+    }
+
+    // delete a single weed (undoable)
+    deleteWeed(weed) {
+        if (!weed) return;
+        this._recordChange('Delete', () => this.store.remove(weed.id));
+    }
+
+    clearAllWeeds() {
+        this.store.clear();
 
         for (const p of this._waters) {
             try { if (p.gfx && p.gfx.parent) p.gfx.parent.removeChild(p.gfx); if (p.gfx) p.gfx.destroy(); } catch (e) {}
@@ -107,32 +604,198 @@ export class WeedManager {
         }
         this._splashes.length = 0;
 
-        try { localStorage.removeItem(this.storageKey); } catch (e) {}
+        // save the empty garden rather than deleting the key so the clear stays undoable after a reload
+        this._save();
+    }
+
+    // ask which format to export (see io/formats.js), then download it
+    async exportGarden() {
+        const inputOptions = {};
+        for (const [id, f] of Object.entries(FORMATS)) inputOptions[id] = f.label;
+        const { value: formatId } = await Swal.fire({
+            title: 'Export garden',
+            input: 'select',
+            inputOptions,
+            inputValue: 'json',
+            showCancelButton: true,
+            confirmButtonText: 'Export',
+        });
+        const format = FORMATS[formatId];
+        if (!format) return;
+        const text = format.serialize(this.garden, this.store.list());
+        downloadText(datedFileName('todo-garden', format.ext), text, format.mime);
+    }
+
+    // choose a source (file or pasted Markdown), validate it, then ask whether to merge or replace
+    async importGarden() {
+        const source = await Swal.fire({
+            title: 'Import tasks',
+            text: 'Import a garden backup, todo.txt, .ics or Markdown file, or paste a Markdown checklist.',
+            showCancelButton: true,
+            showDenyButton: true,
+            confirmButtonText: 'From file…',
+            denyButtonText: 'Paste Markdown',
+        });
+        if (source.isConfirmed) await this._importFromFile();
+        else if (source.isDenied) await this._importFromPaste();
+    }
+
+    async _importFromFile() {
+        let file;
+        try {
+            file = await pickTextFile(allAccepts());
+        } catch (e) {
+            await Swal.fire({ icon: 'error', title: 'Import failed', text: `Could not read file: ${e.message}` });
+            return;
+        }
+        if (!file) return;
+
+        let parsed;
+        try {
+            parsed = FORMATS[formatForFileName(file.name)].parse(file.text);
+        } catch (e) {
+            await Swal.fire({ icon: 'error', title: 'Import failed', text: e.message });
+            return;
+        }
+        await this._confirmImport(parsed, file.name);
+    }
+
+    async _importFromPaste() {
+        const { value: text } = await Swal.fire({
+            title: 'Paste a Markdown checklist',
+            input: 'textarea',
+            inputPlaceholder: '## Group\n- [ ] task\n  - [x] sub-task',
+            inputAttributes: { style: 'min-height:200px;font-family:monospace' },
+            showCancelButton: true,
+            confirmButtonText: 'Next',
+        });
+        if (!text || !text.trim()) return;
+        await this._confirmImport(FORMATS.markdown.parse(text), 'pasted checklist');
+    }
+
+    // show what will be imported (and what was skipped), then merge or replace
+    async _confirmImport(parsed, sourceName) {
+        const { tasks, errors } = parsed;
+        let html = `<p>${tasks.length} task${tasks.length === 1 ? '' : 's'} found in <b>${esc(sourceName)}</b>.</p>`;
+        if (errors.length) {
+            html += `<p style="color:#c94b4b">${errors.length} malformed entr${errors.length === 1 ? 'y' : 'ies'} will be skipped:</p>` +
+                importProblemList(errors);
+        }
+        if (!tasks.length) {
+            await Swal.fire({ icon: 'warning', title: 'Nothing to import', html });
+            return;
+        }
+
+        const result = await Swal.fire({
+            title: 'Import tasks',
+            html,
+            showCancelButton: true,
+            showDenyButton: true,
+            confirmButtonText: 'Merge',
+            denyButtonText: 'Replace',
+            focusConfirm: false,
+        });
+        let failed = [];
+        if (result.isConfirmed) failed = this._recordChange('Import', () => this._importTasks(tasks, 'merge'));
+        else if (result.isDenied) failed = this._recordChange('Import', () => this._importTasks(tasks, 'replace'));
+        if (failed.length) {
+            const imported = tasks.length - failed.length;
+            await Swal.fire({
+                icon: 'warning',
+                title: 'Import incomplete',
+                html: `<p>${imported} of ${tasks.length} tasks were imported. ` +
+                    `${failed.length} could not be planted:</p>` + importProblemList(failed),
+            });
+        }
+    }
+
+    // mode: 'merge' (tasks with a matching id are overwritten) or 'replace' (garden is cleared first).
+    // returns the tasks that couldn't be planted as [{ index, text, problems }]; a task it replaced is kept
+    _importTasks(tasks, mode = 'merge') {
+        if (mode === 'replace') this.clearAllWeeds();
+        const failed = [];
+        tasks.forEach((r, index) => {
+            const prev = this.store.toRecord(r.id);
+            try {
+                this.store.remove(r.id, { source: 'import' });
+                this.store.add(Object.assign({}, r, { x: this._findSpawnX(r.x) }), { source: 'import' });
+            } catch (e) {
+                console.warn('[garden] could not import task:', e);
+                failed.push({ index, text: r.text, problems: [e.message || String(e)] });
+                try { this.store.restore(r.id, prev, { source: 'import' }); } catch (e2) {}
+            }
+        });
+        return failed;
     }
 
-    addWeed(text) {
+    // fields: extra task fields chosen when planting (e.g. { priority })
+    addWeed(text, fields = {}) {
         if (!text) return;
-        this._spawnWeed({ text, x: null, y: null, completed: false, hits: 0 });
-        this._save();
+        return this._recordChange('Plant', () =>
+            this.store.add(Object.assign({}, fields, { text, x: this._findSpawnX(), completed: false, hits: 0, createdAt: new Date().toISOString() })));
     }
 
-    _spawnWeed(record) {
-        const text = record.text || 'Unnamed';
+    // plant a list of tasks ([{ text, fields, subtasks: [text] }]) in a row around the player, as one undoable step
+    addWeeds(items) {
+        items = (items || []).filter(item => item && item.text);
+        if (!items.length) return [];
         const px = this.player?.x ?? (this.app.renderer.width / 2);
-        let spawnX = (Number.isFinite(record.x) ? record.x : px + (Math.random() * 200 - 100));
-        let spawnY = Number.isFinite(record.y) ? record.y : (this.terrain ? this.terrain.groundY(spawnX) : (this.player?.y ?? (this.app.renderer.height / 2)) + 80);
+        const label = items.length === 1 ? 'Plant' : `Plant ${items.length} weeds`;
+        return this._recordChange(label, () => items.map((item, i) => {
+            // alternate right and left of the player: 0, +1, -1, +2, ... spacings
+            const step = Math.ceil(i / 2) * (i % 2 ? 1 : -1);
+            const subtasks = (item.subtasks || []).map(text => ({ id: createTaskId(), text, done: false }));
+            return this.store.add(Object.assign({}, item.fields, {
+                text: item.text,
+                subtasks,
+                x: this._findSpawnX(px + step * BULK_SPACING),
+                completed: false,
+                hits: 0,
+                createdAt: new Date().toISOString(),
+            }));
+        }));
+    }
 
+    // a spot along the ground near x (or near the player) that doesn't overlap another weed
+    _findSpawnX(x = null) {
+        const px = this.player?.x ?? (this.app.renderer.width / 2);
+        let spawnX = Number.isFinite(x) ? x : px + (Math.random() * 200 - 100);
         let tries = 0;
-        while (this.weeds.some(w => this._distance(w.x, w.y, spawnX, spawnY) < 64) && tries++ < 40) {
+        while (this.weeds.some(w => Math.abs(w.x - spawnX) < 64) && tries++ < 40) {
             spawnX += (Math.random() * 200 - 100);
-            if (this.terrain) spawnY = this.terrain.groundY(spawnX);
         }
+        return spawnX;
+    }
+
+    // destroy a single weed's visuals and forget it (the task itself is the store's business)
+    _removeWeed(weed) {
+        const idx = this.weeds.indexOf(weed);
+        if (idx < 0) return;
+        this.weeds.splice(idx, 1);
+        clearTimeout(weed._longPressTimer);
+        for (let i = this._waters.length - 1; i >= 0; i--) {
+            const p = this._waters[i];
+            if (p.weed !== weed) continue;
+            try { if (p.gfx && p.gfx.parent) p.gfx.parent.removeChild(p.gfx); if (p.gfx) p.gfx.destroy(); } catch (e) {}
+            this._waters.splice(i, 1);
+        }
+        try {
+            if (weed.container && weed.container.parent) weed.container.parent.removeChild(weed.container);
+            if (weed.container) weed.container.destroy({ children: true, texture: false, baseTexture: false });
+        } catch (e) {}
+    }
+
+    // build the visuals for a task at its stored x (view of a store record)
+    _spawnWeed(task) {
+        const text = this._labelText(task);
+        const spawnX = task.x;
+        const spawnY = this.terrain ? this.terrain.groundY(spawnX) : (this.player?.y ?? (this.app.renderer.height / 2)) + 80;
 
         const c = new PIXI.Container();
         c.x = spawnX;
         c.y = spawnY;
 
-        const plant = createBranchyWeed(record.text ?? 'weed', { baseLength: 16, leafSize: 8 });
+        const plant = this._createPlant(task);
         plant.y = 0;
         if (plant.pivot && typeof plant.pivot.set === 'function') plant.pivot.set(0, 0);
 
@@ -171,7 +834,12 @@ export class WeedManager {
         const bg = new PIXI.Graphics();
         bg.visible = false;
 
-        // halo/exclaim simplified (exclaim will be above)
+        // glow on the ground under weeds that match the current search (see _paintHighlights)
+        const halo = new PIXI.Graphics();
+        halo.visible = false;
+        c.addChildAt(halo, 0);
+
+        // halo/exclaim simplified (exclaim will be above); colored and sized by priority in _styleExclaim
         const exclaim = new PIXI.Text('!', { fontSize: 26, fill: 0xFFDD33, fontWeight: 'bold' });
         exclaim.anchor.set(0.5, 0.5);
         exclaim.x = 0;
@@ -196,31 +864,52 @@ export class WeedManager {
         c.addChild(strike);
         c.addChild(check);
 
+        // drawn around the plant while its task list item is hovered (see _setHovered)
+        const outline = new PIXI.Graphics();
+        outline.visible = false;
+        c.addChild(outline);
+
         this.world.addChild(c);
 
+        const store = this.store;
         const weed = {
+            id: task.id,
+            // always the current record; the view never keeps its own copy of task data
+            get task() { return store.get(this.id); },
             container: c,
-            text,
             x: spawnX,
             y: spawnY,
             label,
             bg,
+            halo,
+            outline,
             graphic: plant,
-            completed: Boolean(record.completed),
-            hits: Number.isFinite(record.hits) ? record.hits : 0,
+            bloomed: false,
             strike,
             check,
             flower: null,
             exclaim,
             particles: localParticles,
-            _particleAcc: 0
+            _particleAcc: 0,
+            // deadlineState() of the task, refreshed by update(); _labelY is the label height at scale 1
+            deadline: deadlineState(task),
+            _thorns: 0,
+            _deadlineKey: null,
+            _labelY: label.y,
+            // overdue weeds droop to one side
+            _wilt: (task.id.charCodeAt(0) % 2 ? 1 : -1) * 0.28
         };
+        weed._thorns = thornLevel(weed.deadline);
 
-        if (weed.completed) {
+        this._styleExclaim(weed);
+        if (task.completed) {
             this._applyCompletedVisuals(weed);
+        } else {
+            this._applyDeadlineLook(weed);
         }
 
         this.weeds.push(weed);
+        if (this._highlights) this._paintHighlights();
 
         this._attachWeedInputHandlers(weed);
 
@@ -236,15 +925,7 @@ export class WeedManager {
             vis.eventMode = 'static';        // enable pointer events on this container
             vis.cursor = 'pointer';          // show pointer cursor
 
-            // ensure a simple rectangular hitArea based on local bounds so taps aren't missed
-            try {
-                const b = vis.getLocalBounds();
-                const minW = Math.max(8, b.width || 24);
-                const minH = Math.max(8, b.height || 24);
-                vis.hitArea = new PIXI.Rectangle(b.x || 0, b.y || 0, minW, minH);
-            } catch (e) {
-                // fallback: no hitArea set
-            }
+            this._updateHitArea(weed);
 
             weed._lastTap = 0;
             weed._longPressTimer = null;
@@ -260,14 +941,39 @@ export class WeedManager {
                 weed._longPressTimer = null;
             };
 
+            // press-and-drag sideways repositions the weed along the ground (recorded on release)
+            const DRAG_THRESHOLD = 8;
+            weed._drag = null;
+            const endDrag = () => {
+                const d = weed._drag;
+                weed._drag = null;
+                if (!d || !d.moved) return false;
+                const finalX = weed.x;
+                this._moveWeedTo(weed, d.origX);
+                this.moveWeed(weed, finalX);
+                return true;
+            };
+
             // Start long-press on pointerdown
             vis.on('pointerdown', (ev) => {
+                weed._drag = { startX: ev.global.x, origX: weed.x, moved: false };
                 startLongPress();
             });
 
+            vis.on('globalpointermove', (ev) => {
+                const d = weed._drag;
+                if (!d) return;
+                const dx = ev.global.x - d.startX;
+                if (!d.moved && Math.abs(dx) < DRAG_THRESHOLD) return;
+                d.moved = true;
+                cancelLongPress();
+                this._moveWeedTo(weed, d.origX + dx);
+            });
+
             // Use pointerup for tap/double-tap detection
             vis.on('pointerup', (ev) => {
                 cancelLongPress();
+                if (endDrag()) return;
                 const now = performance.now();
                 const DOUBLE_TAP_MS = 350;
                 if (now - (weed._lastTap || 0) < DOUBLE_TAP_MS) {
@@ -280,15 +986,29 @@ export class WeedManager {
                 }
             });
 
-            vis.on('pointerupoutside', cancelLongPress);
-            vis.on('pointercancel', cancelLongPress);
+            vis.on('pointerupoutside', () => { cancelLongPress(); endDrag(); });
+            vis.on('pointercancel', () => { cancelLongPress(); endDrag(); });
             vis.on('pointerout', cancelLongPress);
         } catch (e) {}
     }
 
+    // ensure a simple rectangular hitArea based on local bounds so taps aren't missed
+    _updateHitArea(weed) {
+        try {
+            const vis = weed.container.getChildByName && weed.container.getChildByName('visuals') || weed.container.children[0];
+            const b = vis.getLocalBounds();
+            const minW = Math.max(8, b.width || 24);
+            const minH = Math.max(8, b.height || 24);
+            vis.hitArea = new PIXI.Rectangle(b.x || 0, b.y || 0, minW, minH);
+        } catch (e) {
+            // fallback: no hitArea set
+        }
+    }
+
     _openWeedDialog(weed) {
-        if (!weed) return;
+        if (!weed || !weed.task) return;
         if (this._activeWeedDialog) return;
+        const task = weed.task;
 
         const overlay = document.createElement('div');
         Object.assign(overlay.style, {
@@ -313,7 +1033,7 @@ export class WeedManager {
 
         const title = document.createElement('input');
         title.type = 'text';
-        title.value = weed.text || '';
+        title.value = task.text || '';
         Object.assign(title.style, { fontSize: '18px', fontWeight: '600', border: 'none', outline: 'none', flex: '1' });
         header.appendChild(title);
 
@@ -330,7 +1050,7 @@ export class WeedManager {
         Object.assign(checkLabel.style, { display: 'flex', alignItems: 'center', gap: '8px' });
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
-        checkbox.checked = Boolean(weed.completed);
+        checkbox.checked = Boolean(task.completed);
         checkLabel.appendChild(checkbox);
         const checkText = document.createElement('span');
         checkText.textContent = 'Done';
@@ -345,22 +1065,390 @@ export class WeedManager {
         dueLabel.appendChild(dueCaption);
         const dueInput = document.createElement('input');
         dueInput.type = 'date';
-        if (weed.due) {
-            try { dueInput.value = new Date(weed.due).toISOString().slice(0, 10); } catch (e) {}
+        if (task.due) {
+            try { dueInput.value = new Date(task.due).toISOString().slice(0, 10); } catch (e) {}
         }
-        dueLabel.appendChild(dueInput);
+        // optional time of day; without one the weed is overdue once the due day is over
+        const timeInput = document.createElement('input');
+        timeInput.type = 'time';
+        timeInput.value = task.dueTime || '';
+        timeInput.title = 'Due time (optional)';
+        const dueInputs = document.createElement('div');
+        Object.assign(dueInputs.style, { display: 'flex', gap: '4px' });
+        dueInputs.appendChild(dueInput);
+        dueInputs.appendChild(timeInput);
+        dueLabel.appendChild(dueInputs);
         metaRow.appendChild(dueLabel);
 
+        // browser notification some time before the due day ends, and again once it's overdue
+        const remindLabel = document.createElement('div');
+        Object.assign(remindLabel.style, { display: 'flex', flexDirection: 'column', fontSize: '13px' });
+        const remindCaption = document.createElement('div');
+        remindCaption.textContent = 'Remind';
+        remindCaption.style.opacity = '0.8';
+        remindLabel.appendChild(remindCaption);
+        const remindSelect = document.createElement('select');
+        const leads = [['', 'Never']].concat(REMINDER_LEADS);
+        if (task.reminder && !REMINDER_LEADS.some(([m]) => m === task.reminder.lead)) leads.push([task.reminder.lead, describeLead(task.reminder.lead)]);
+        for (const [minutes, text] of leads) {
+            const opt = document.createElement('option');
+            opt.value = String(minutes);
+            opt.textContent = text;
+            remindSelect.appendChild(opt);
+        }
+        remindSelect.value = task.reminder ? String(task.reminder.lead) : '';
+        const syncRemind = () => {
+            timeInput.disabled = !dueInput.value;
+            remindSelect.disabled = !dueInput.value;
+            remindSelect.title = dueInput.value ? '' : 'Set a due date to get reminders';
+        };
+        dueInput.addEventListener('input', syncRemind);
+        syncRemind();
+        remindLabel.appendChild(remindSelect);
+        metaRow.appendChild(remindLabel);
+
+        const prioLabel = document.createElement('div');
+        Object.assign(prioLabel.style, { display: 'flex', flexDirection: 'column', fontSize: '13px' });
+        const prioCaption = document.createElement('div');
+        prioCaption.textContent = 'Priority';
+        prioCaption.style.opacity = '0.8';
+        prioLabel.appendChild(prioCaption);
+        const prioSelect = document.createElement('select');
+        for (const p of PRIORITIES) {
+            const opt = document.createElement('option');
+            opt.value = p;
+            opt.textContent = PRIORITY_LABELS[p];
+            prioSelect.appendChild(opt);
+        }
+        prioSelect.value = task.priority;
+        prioLabel.appendChild(prioSelect);
+        metaRow.appendChild(prioLabel);
+
+        // repeat rule: a recurring weed blooms, stays a flower until its next occurrence, then regrows
+        const rule = task.recurrence;
+        const repeatLabel = document.createElement('div');
+        Object.assign(repeatLabel.style, { display: 'flex', flexDirection: 'column', fontSize: '13px' });
+        const repeatCaption = document.createElement('div');
+        repeatCaption.textContent = 'Repeat';
+        repeatCaption.style.opacity = '0.8';
+        repeatLabel.appendChild(repeatCaption);
+        const repeatSelect = document.createElement('select');
+        const freqLabels = { '': 'Never', daily: 'Daily', weekly: 'Weekly on…', monthly: 'Monthly', days: 'Every N days' };
+        for (const f of [''].concat(FREQUENCIES)) {
+            const opt = document.createElement('option');
+            opt.value = f;
+            opt.textContent = freqLabels[f];
+            repeatSelect.appendChild(opt);
+        }
+        repeatSelect.value = rule ? rule.freq : '';
+        repeatLabel.appendChild(repeatSelect);
+        metaRow.appendChild(repeatLabel);
+
+        const repeatRow = document.createElement('div');
+        Object.assign(repeatRow.style, { display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px', fontSize: '13px', flexWrap: 'wrap' });
+        box.appendChild(repeatRow);
+
+        const weekdayBoxes = WEEKDAY_NAMES.map((name, d) => {
+            const l = document.createElement('label');
+            Object.assign(l.style, { display: 'flex', alignItems: 'center', gap: '2px' });
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.checked = rule && rule.freq === 'weekly' ? rule.weekdays.includes(d) : d === new Date().getDay();
+            l.appendChild(cb);
+            l.appendChild(document.createTextNode(name));
+            repeatRow.appendChild(l);
+            return { label: l, cb, day: d };
+        });
+        const everyLabel = document.createElement('label');
+        everyLabel.textContent = 'Every ';
+        const everyInput = document.createElement('input');
+        everyInput.type = 'number';
+        everyInput.min = '1';
+        everyInput.max = '365';
+        everyInput.value = rule && rule.freq === 'days' ? String(rule.every) : '2';
+        everyInput.style.width = '56px';
+        everyLabel.appendChild(everyInput);
+        everyLabel.appendChild(document.createTextNode(' days'));
+        repeatRow.appendChild(everyLabel);
+        const monthLabel = document.createElement('label');
+        monthLabel.textContent = 'On day ';
+        const monthInput = document.createElement('input');
+        monthInput.type = 'number';
+        monthInput.min = '1';
+        monthInput.max = '31';
+        monthInput.value = rule && rule.freq === 'monthly' ? String(rule.monthDay) : String(new Date().getDate());
+        monthInput.style.width = '56px';
+        monthLabel.appendChild(monthInput);
+        repeatRow.appendChild(monthLabel);
+
+        const readRecurrence = () => normalizeRecurrence({
+            freq: repeatSelect.value,
+            every: Number(everyInput.value),
+            weekdays: weekdayBoxes.filter(w => w.cb.checked).map(w => w.day),
+            monthDay: Number(monthInput.value),
+        });
+        const syncRepeat = () => {
+            const f = repeatSelect.value;
+            for (const w of weekdayBoxes) w.label.style.display = f === 'weekly' ? 'flex' : 'none';
+            everyLabel.style.display = f === 'days' ? 'block' : 'none';
+            monthLabel.style.display = f === 'monthly' ? 'block' : 'none';
+            repeatRow.style.display = (f === 'weekly' || f === 'days' || f === 'monthly') ? 'flex' : 'none';
+        };
+        repeatSelect.addEventListener('change', syncRepeat);
+        syncRepeat();
+
+        // completion history of a recurring task
+        if (task.recurrence || task.occurrences.length) {
+            const info = document.createElement('div');
+            Object.assign(info.style, { fontSize: '12px', opacity: '0.75', marginTop: '6px' });
+            const parts = [describeRecurrence(task.recurrence)];
+            if (task.regrowAt) parts.push(`regrows ${new Date(task.regrowAt).toLocaleDateString()}`);
+            const n = task.occurrences.length;
+            if (n) {
+                const last = task.occurrences[n - 1];
+                parts.push(`done ${n} time${n === 1 ? '' : 's'}, last ${new Date(last.completedAt).toLocaleDateString()}`);
+            }
+            info.textContent = parts.join(' · ');
+            info.title = task.occurrences.slice(-10).reverse()
+                .map(o => new Date(o.completedAt).toLocaleString()).join('\n');
+            box.appendChild(info);
+        }
+
+        // tags as removable chips; the input autocompletes from tags already in use
+        const tags = task.tags.slice();
+        const tagRow = document.createElement('div');
+        Object.assign(tagRow.style, { display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '6px', marginTop: '10px', fontSize: '13px' });
+        box.appendChild(tagRow);
+        const chips = document.createElement('div');
+        Object.assign(chips.style, { display: 'flex', flexWrap: 'wrap', gap: '4px' });
+        tagRow.appendChild(chips);
+        const listId = 'weed-tags-' + weed.id;
+        const datalist = document.createElement('datalist');
+        datalist.id = listId;
+        for (const t of this._knownTags()) {
+            const opt = document.createElement('option');
+            opt.value = t;
+            datalist.appendChild(opt);
+        }
+        tagRow.appendChild(datalist);
+        const tagInput = document.createElement('input');
+        tagInput.type = 'text';
+        tagInput.placeholder = '#tag';
+        tagInput.setAttribute('list', listId);
+        tagInput.style.width = '110px';
+        tagRow.appendChild(tagInput);
+        const colorsBtn = document.createElement('button');
+        colorsBtn.textContent = 'Tag colors…';
+        Object.assign(colorsBtn.style, { cursor: 'pointer', fontSize: '12px' });
+        tagRow.appendChild(colorsBtn);
+
+        const renderChips = () => {
+            chips.innerHTML = '';
+            for (const tag of tags) {
+                const style = this.tagStyles.styleOf(tag);
+                const chip = document.createElement('span');
+                Object.assign(chip.style, {
+                    display: 'inline-flex', alignItems: 'center', gap: '4px', padding: '2px 8px',
+                    borderRadius: '12px', background: colorToHex(style.petalColor), color: '#222',
+                    border: `2px solid ${colorToHex(style.leafColor)}`,
+                });
+                chip.textContent = '#' + tag;
+                const x = document.createElement('span');
+                x.textContent = '×';
+                x.title = 'Remove tag';
+                x.style.cursor = 'pointer';
+                x.onclick = () => { tags.splice(tags.indexOf(tag), 1); renderChips(); };
+                chip.appendChild(x);
+                chips.appendChild(chip);
+            }
+        };
+        const addTag = () => {
+            for (const part of tagInput.value.split(/[\s,]+/)) {
+                const t = normalizeTag(part);
+                if (t && !tags.includes(t)) tags.push(t);
+            }
+            tagInput.value = '';
+            renderChips();
+        };
+        tagInput.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Enter' || ev.key === ',') { ev.preventDefault(); addTag(); }
+            else if (ev.key === 'Backspace' && !tagInput.value && tags.length) { tags.pop(); renderChips(); }
+        });
+        // picking a suggestion from the datalist fires 'change' without a key press
+        tagInput.addEventListener('change', addTag);
+        colorsBtn.onclick = async () => {
+            addTag();
+            if (await editTagStyles(this.tagStyles, this._knownTags().concat(tags))) renderChips();
+        };
+        renderChips();
+
+        // "blocked by" links to other weeds; a vine is drawn from each open blocker to this weed
+        const blockedBy = task.blockedBy.filter(id => this.store.has(id));
+        const blockRow = document.createElement('div');
+        Object.assign(blockRow.style, { display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '6px', marginTop: '10px', fontSize: '13px' });
+        box.appendChild(blockRow);
+        const blockCaption = document.createElement('span');
+        blockCaption.textContent = 'Blocked by';
+        blockCaption.style.opacity = '0.8';
+        blockRow.appendChild(blockCaption);
+        const blockChips = document.createElement('div');
+        Object.assign(blockChips.style, { display: 'flex', flexWrap: 'wrap', gap: '4px' });
+        blockRow.appendChild(blockChips);
+        const blockSelect = document.createElement('select');
+        blockRow.appendChild(blockSelect);
+
+        const renderBlockers = () => {
+            blockChips.innerHTML = '';
+            for (const id of blockedBy) {
+                const other = this.store.get(id);
+                if (!other) continue;
+                const chip = document.createElement('span');
+                Object.assign(chip.style, {
+                    display: 'inline-flex', alignItems: 'center', gap: '4px', padding: '2px 8px',
+                    borderRadius: '12px', background: other.completed ? '#e4efe0' : '#f3e3c8', color: '#222',
+                    textDecoration: other.completed ? 'line-through' : 'none',
+                });
+                chip.textContent = other.text || 'Unnamed';
+                const x = document.createElement('span');
+                x.textContent = '×';
+                x.title = 'Remove link';
+                x.style.cursor = 'pointer';
+                x.onclick = () => { blockedBy.splice(blockedBy.indexOf(id), 1); renderBlockers(); syncDone(); };
+                chip.appendChild(x);
+                blockChips.appendChild(chip);
+            }
+            // candidates: other open weeds that don't (even indirectly) wait on this one
+            blockSelect.innerHTML = '';
+            const first = document.createElement('option');
+            first.value = '';
+            first.textContent = blockedBy.length ? '+ another…' : '+ pick a weed…';
+            blockSelect.appendChild(first);
+            for (const other of this.store.list()) {
+                if (other.id === weed.id || other.completed || blockedBy.includes(other.id)) continue;
+                if (this.store.wouldCycle(weed.id, other.id)) continue;
+                const opt = document.createElement('option');
+                opt.value = other.id;
+                opt.textContent = other.text || 'Unnamed';
+                blockSelect.appendChild(opt);
+            }
+            blockSelect.disabled = blockSelect.options.length < 2;
+        };
+        blockSelect.onchange = () => {
+            if (blockSelect.value) blockedBy.push(blockSelect.value);
+            renderBlockers();
+            syncDone();
+        };
+        renderBlockers();
+
+        if (task.focus.focusedMs) {
+            const focusInfo = document.createElement('div');
+            Object.assign(focusInfo.style, { fontSize: '12px', opacity: '0.75', marginTop: '8px' });
+            const n = task.focus.pomodoros;
+            focusInfo.textContent = `🍅 ${n} pomodoro${n === 1 ? '' : 's'} · ${formatDuration(task.focus.focusedMs)} focused`;
+            box.appendChild(focusInfo);
+        }
+
         const desc = document.createElement('textarea');
         desc.placeholder = 'Description / notes...';
         Object.assign(desc.style, { width: '100%', minHeight: '96px', marginTop: '12px' });
-        desc.value = weed.description || '';
+        desc.value = task.description || '';
         box.appendChild(desc);
 
+        // steps (subtasks) as an editable checklist; the weed can only be marked done once all are ticked
+        const steps = (task.subtasks || []).map(st => Object.assign({}, st));
+        const stepsBox = document.createElement('div');
+        stepsBox.style.marginTop = '12px';
+        const stepsCaption = document.createElement('div');
+        Object.assign(stepsCaption.style, { fontSize: '13px', opacity: '0.8', marginBottom: '4px' });
+        stepsBox.appendChild(stepsCaption);
+        const stepList = document.createElement('div');
+        stepsBox.appendChild(stepList);
+        box.appendChild(stepsBox);
+
+        const syncDone = () => {
+            const live = steps.filter(st => st.text.trim());
+            const open = live.filter(st => !st.done).length;
+            // a weed that already bloomed keeps its flower when a blocker is added afterwards
+            const waiting = !task.completed && blockedBy.some((id) => {
+                const other = this.store.get(id);
+                return other && !other.completed;
+            });
+            stepsCaption.textContent = live.length ? `Steps (${live.length - open}/${live.length})` : 'Steps';
+            checkbox.disabled = open > 0 || waiting;
+            if (checkbox.disabled) checkbox.checked = false;
+            checkLabel.title = open ? 'Finish all steps first' : waiting ? 'Finish the weeds blocking this one first' : '';
+            checkLabel.style.opacity = checkbox.disabled ? '0.5' : '1';
+        };
+
+        const renderSteps = () => {
+            stepList.innerHTML = '';
+            steps.forEach((st, i) => {
+                const row = document.createElement('div');
+                Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' });
+                const cb = document.createElement('input');
+                cb.type = 'checkbox';
+                cb.checked = st.done;
+                cb.onchange = () => { st.done = cb.checked; syncDone(); };
+                const txt = document.createElement('input');
+                txt.type = 'text';
+                txt.value = st.text;
+                Object.assign(txt.style, { flex: '1', textDecoration: st.done ? 'line-through' : 'none' });
+                txt.oninput = () => { st.text = txt.value; syncDone(); };
+                cb.addEventListener('change', () => { txt.style.textDecoration = cb.checked ? 'line-through' : 'none'; });
+                const rm = document.createElement('button');
+                rm.textContent = '✕';
+                rm.title = 'Remove step';
+                Object.assign(rm.style, { border: 'none', background: 'transparent', cursor: 'pointer', color: '#c94b4b' });
+                rm.onclick = () => { steps.splice(i, 1); renderSteps(); };
+                row.appendChild(cb);
+                row.appendChild(txt);
+                row.appendChild(rm);
+                stepList.appendChild(row);
+            });
+            syncDone();
+        };
+
+        const addRow = document.createElement('div');
+        Object.assign(addRow.style, { display: 'flex', gap: '6px' });
+        const newStep = document.createElement('input');
+        newStep.type = 'text';
+        newStep.placeholder = 'Add a step...';
+        newStep.style.flex = '1';
+        const addStepBtn = document.createElement('button');
+        addStepBtn.textContent = 'Add';
+        addStepBtn.style.cursor = 'pointer';
+        const addStep = () => {
+            const v = newStep.value.trim();
+            if (!v) return;
+            steps.push({ id: createTaskId(), text: v, done: false });
+            newStep.value = '';
+            renderSteps();
+            newStep.focus();
+        };
+        addStepBtn.onclick = addStep;
+        newStep.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') { ev.preventDefault(); addStep(); } });
+        addRow.appendChild(newStep);
+        addRow.appendChild(addStepBtn);
+        stepsBox.appendChild(addRow);
+        renderSteps();
+
         const actions = document.createElement('div');
         Object.assign(actions.style, { display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '12px' });
         box.appendChild(actions);
 
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        Object.assign(deleteBtn.style, { padding: '8px 12px', cursor: 'pointer', marginRight: 'auto', color: '#c94b4b' });
+        actions.appendChild(deleteBtn);
+
+        // saves the dialog, then starts a pomodoro on this weed
+        const focusBtn = document.createElement('button');
+        focusBtn.textContent = '🍅 Focus';
+        focusBtn.title = 'Save and start a 25 minute pomodoro on this weed';
+        Object.assign(focusBtn.style, { padding: '8px 12px', cursor: 'pointer' });
+        focusBtn.disabled = Boolean(task.completed);
+        actions.appendChild(focusBtn);
+
         const saveBtn = document.createElement('button');
         saveBtn.textContent = 'Save';
         Object.assign(saveBtn.style, { padding: '8px 12px', cursor: 'pointer' });
@@ -375,18 +1463,50 @@ export class WeedManager {
         closeBtn.onclick = cancelBtn.onclick = () => cleanup();
         overlay.onclick = (ev) => { if (ev.target === overlay) cleanup(); };
 
+        deleteBtn.onclick = () => {
+            this.deleteWeed(weed);
+            cleanup();
+        };
+
+        focusBtn.onclick = () => {
+            saveBtn.onclick();
+            this.startFocus(weed);
+        };
+
         saveBtn.onclick = () => {
-            weed.text = title.value;
-            weed.completed = Boolean(checkbox.checked);
-            weed.due = dueInput.value ? new Date(dueInput.value).toISOString() : null;
-            weed.description = desc.value;
-            try {
-                if (weed.label) weed.label.text = weed.text;
-                if (weed.check) weed.check.visible = !!weed.completed;
-                if (weed.strike) weed.strike.visible = !!weed.completed;
-            } catch (e) {}
-            try { this._save(); } catch (e) {}
-            if (weed.completed) this._bloom(weed);
+            const done = Boolean(checkbox.checked);
+            const recurrence = readRecurrence();
+            let reminder = null;
+            if (remindSelect.value !== '') {
+                const lead = Number(remindSelect.value);
+                const prev = task.reminder;
+                // a new lead time arms the first alert again
+                reminder = { lead, sent: prev ? { lead: prev.lead === lead ? prev.sent.lead : null, overdue: prev.sent.overdue } : {} };
+                // the permission prompt needs this click
+                if (!notificationsAllowed()) requestNotificationPermission().then(ok => { if (ok && this.reminders) this.reminders.rescheduleAll(); });
+            }
+            this._recordChange('Edit', () => {
+                const patch = {
+                    text: title.value,
+                    due: dueInput.value ? new Date(dueInput.value).toISOString() : null,
+                    dueTime: (dueInput.value && timeInput.value) || null,
+                    description: desc.value,
+                    priority: prioSelect.value,
+                    tags: tags.concat(normalizeTag(tagInput.value) || []),
+                    subtasks: steps.filter(st => st.text.trim()),
+                    recurrence,
+                    reminder,
+                    blockedBy: blockedBy.slice(),
+                };
+                // an already bloomed weed regrows on the (possibly changed) schedule
+                if (task.completed) {
+                    const next = recurrence ? nextOccurrence(recurrence, new Date(task.completedAt || Date.now())) : null;
+                    patch.regrowAt = next ? next.toISOString() : null;
+                }
+                this.store.update(weed.id, patch);
+                if (done) this._bloom(weed);
+                else this._unbloom(weed);
+            });
             cleanup();
         };
 
@@ -402,68 +1522,291 @@ export class WeedManager {
         const px = this.player.x, py = this._playerFootY();
         let best = null, bd = Infinity;
         for (const w of this.weeds) {
-            if (w.completed) continue;
+            if (w.bloomed) continue;
             const d = this._distance(px, py, w.x, w.y);
             if (d < bd && d < 300) { bd = d; best = w; }
         }
         if (!best) return;
-        const start = { x: this.player.x + 0, y: this.player.y - 20 };
-        const target = { x: best.x + (best.container.pivot?.x || 0), y: best.y - 6 };
+        const blockers = this.store.blockersOf(best.id);
+        if (blockers.length) {
+            const names = blockers.map(b => `"${b.text}"`).join(', ');
+            if (this.onHint) this.onHint(`"${best.task.text}" is blocked by ${names} - finish ${blockers.length > 1 ? 'those' : 'that'} first`);
+            return;
+        }
+        this._shootWater(best, { x: this.player.x + 0, y: this.player.y - 20 });
+    }
+
+    // send one water particle from `start` (world coords) to the weed; it counts as a hit when it lands
+    _shootWater(weed, start) {
+        const target = { x: weed.x + (weed.container.pivot?.x || 0), y: weed.y - 6 };
         const g = new PIXI.Graphics();
         g.beginFill(0x66CCFF);
         g.drawCircle(start.x, start.y, 6);
         g.endFill();
         this.world.addChild(g);
         const dur = 0.45 + Math.random() * 0.35;
-        this._waters.push({ gfx: g, start, target, elapsed: 0, dur, weed: best });
+        this._waters.push({ gfx: g, start, target, elapsed: 0, dur, weed });
+    }
+
+    // start a pomodoro on a weed (blocked and bloomed weeds can't be worked on)
+    startFocus(weed) {
+        if (!weed || !weed.task || weed.bloomed) return false;
+        const blockers = this.store.blockersOf(weed.id);
+        if (blockers.length) {
+            if (this.onHint) this.onHint(`"${weed.task.text}" is blocked by ${blockers.map(b => `"${b.text}"`).join(', ')}`);
+            return false;
+        }
+        this.focus.start(weed.id);
+        return true;
+    }
+
+    // log a work period on its task; a finished pomodoro rains one watering onto the weed
+    _onFocusSession(session) {
+        const task = this.store.get(session.taskId);
+        if (!task) return;
+        this.store.update(task.id, { focus: addFocusSession(task.focus, session) });
+        if (!session.completed) return;
+        const weed = this._weedById(task.id);
+        if (weed && !weed.bloomed) this._shootWater(weed, { x: weed.x, y: weed.y - 220 });
+        if (this.onHint) this.onHint(`🍅 Pomodoro done - "${task.text}" gets a watering. Take a break!`, 4);
     }
 
+    // complete the weed's task; the flower appears once the store reports the change.
+    // Weeds with unfinished subtasks don't bloom (returns null).
     _bloom(weed) {
-        if (weed.completed) return;
-        weed.completed = true;
+        return this.store.complete(weed.id);
+    }
+
+    // reopen the weed's task (it has to be watered from scratch)
+    _unbloom(weed) {
+        this.store.reopen(weed.id);
+    }
+
+    // swap the weed plant for a flower and strike the label through
+    _applyCompletedVisuals(weed) {
+        const task = weed.task;
         try {
             if (weed.graphic && weed.graphic.parent) weed.graphic.destroy({ children: true, texture: false, baseTexture: false });
         } catch (e) {}
-        const flower = createFlowerBush(weed.text || Math.floor(Math.random() * 99999), {
+        weed.graphic = null;
+        // the flower is redrawn whenever its age moves on a step (see _refreshAge)
+        weed._ageStep = Math.round(flowerAge(task, Date.now(), this.garden.compostAfterDays) * AGE_STEPS);
+        const flower = createFlowerBush((task && task.text) || Math.floor(Math.random() * 99999), Object.assign({
             stems: 1 + Math.floor(Math.random() * 2),
             stemHeightMin: 22,
             stemHeightMax: 48,
             petalRadius: 12,
-            scale: 1.1
-        });
+            scale: 1.1,
+            age: weed._ageStep / AGE_STEPS,
+        }, this._tagColors(task, ['petalColor', 'centerColor'])));
         weed.container.addChildAt(flower, 0);
         weed.flower = flower;
-
+        weed.bloomed = true;
+        weed.deadline = deadlineState(null);
+        this._applyDeadlineLook(weed);
         try {
             weed.label.style = Object.assign({}, weed.label.style, { fill: 0x666666 });
-            weed.strike.clear();
-            weed.strike.visible = true;
-            const lw = weed.label.width;
-            const ly = weed.label.y - (weed.label.style.fontSize ?? 12) / 2;
-            weed.strike.lineStyle(2, 0x666666);
-            weed.strike.moveTo(-lw / 2, ly);
-            weed.strike.lineTo(lw / 2, ly);
+            this._drawStrike(weed);
             weed.check.visible = true;
         } catch (e) {}
+    }
+
+    // reverse of _applyCompletedVisuals: swap the flower back for a fresh weed plant
+    _clearCompletedVisuals(weed) {
+        try {
+            if (weed.flower) weed.flower.destroy({ children: true, texture: false, baseTexture: false });
+        } catch (e) {}
+        weed.flower = null;
+        weed.bloomed = false;
+
+        this._replacePlant(weed);
 
-        try { this._save(); } catch (e) {}
+        try {
+            weed.label.style = Object.assign({}, weed.label.style, { fill: 0x111111 });
+            weed.strike.clear();
+            weed.strike.visible = false;
+            weed.check.visible = false;
+        } catch (e) {}
     }
 
-    _applyCompletedVisuals(weed) {
+    _createPlant(task) {
+        return createBranchyWeed((task && task.text) ?? 'weed', Object.assign({
+            baseLength: 16,
+            leafSize: 8,
+        }, priorityStyle(task && task.priority).plant, this._tagColors(task, ['leafColor', 'trunkColor']), {
+            subtasks: (task && task.subtasks) || [],
+            thorns: thornLevel(deadlineState(task)),
+        }));
+    }
+
+    // the requested colors from the tag style of a task ({} when it has no tags)
+    _tagColors(task, keys) {
+        const style = this.tagStyles.styleFor(task && task.tags);
+        const out = {};
+        if (style) for (const k of keys) if (style[k] != null) out[k] = style[k];
+        return out;
+    }
+
+    // redraw the plant or flower in the current tag colors
+    _restyle(weed) {
+        if (!weed.bloomed) {
+            this._replacePlant(weed);
+            return;
+        }
         try {
-            if (weed.graphic && weed.graphic.parent) weed.graphic.destroy({ children: true, texture: false, baseTexture: false });
+            if (weed.flower) weed.flower.destroy({ children: true, texture: false, baseTexture: false });
         } catch (e) {}
-        const flower = createFlowerBush(weed.text || Math.floor(Math.random() * 99999), {
-            stems: 1 + Math.floor(Math.random() * 2),
-            stemHeightMin: 22,
-            stemHeightMax: 48,
-            petalRadius: 12,
-            scale: 1.1
+        weed.flower = null;
+        this._applyCompletedVisuals(weed);
+    }
+
+    // every tag used in this garden plus the ones in the style table (for autocomplete)
+    _knownTags() {
+        const tags = new Set(this.tagStyles.tags);
+        for (const t of this.store.list()) for (const tag of t.tags) tags.add(tag);
+        return Array.from(tags).sort();
+    }
+
+    _styleExclaim(weed) {
+        const ex = priorityStyle(weed.task && weed.task.priority).exclaim;
+        const overdue = this._isOverdue(weed);
+        try {
+            if (!ex && !overdue) {
+                weed.exclaim.visible = false;
+                return;
+            }
+            weed.exclaim.style.fill = overdue ? OVERDUE_TINT : ex.color;
+            weed.exclaim.scale.set(overdue ? Math.max(1.4, ex ? ex.scale : 0) : ex.scale);
+        } catch (e) {}
+    }
+
+    _isOverdue(weed) {
+        return Boolean(weed.deadline && weed.deadline.phase === 'overdue');
+    }
+
+    // recompute how close the task is to its due date; regrows the plant when its thorns change
+    _refreshDeadline(weed, now) {
+        if (weed.bloomed) return;
+        const wasOverdue = Boolean(weed.deadline && weed.deadline.phase === 'overdue');
+        weed.deadline = deadlineState(weed.task, now);
+        // overdue tasks are listed (and searched) separately
+        if ((weed.deadline.phase === 'overdue') !== wasOverdue) this._listsDirty = true;
+        if (thornLevel(weed.deadline) !== weed._thorns) this._replacePlant(weed);
+        else this._applyDeadlineLook(weed);
+    }
+
+    // wilt the flower a little further once its age has moved on a step
+    _refreshAge(weed, now) {
+        const step = Math.round(flowerAge(weed.task, now, this.garden.compostAfterDays) * AGE_STEPS);
+        if (step !== weed._ageStep) this._restyle(weed);
+    }
+
+    // size and tint the plant by urgency: it grows and turns orange as the due date nears, red once overdue
+    _applyDeadlineLook(weed) {
+        const state = weed.deadline || deadlineState(null);
+        const urgency = weed.bloomed ? 0 : state.urgency;
+        const key = weed.bloomed ? 'bloomed' : state.phase + ':' + Math.round(urgency * 20);
+        if (key === weed._deadlineKey) return;
+        const overdueChanged = (weed._deadlineKey || '').startsWith('overdue') !== key.startsWith('overdue');
+        weed._deadlineKey = key;
+
+        const scale = 1 + DEADLINE_GROWTH * urgency;
+        let tint = 0xffffff;
+        if (!weed.bloomed && state.phase === 'overdue') tint = OVERDUE_TINT;
+        else if (urgency > 0) tint = lerpColor(0xffffff, DEADLINE_TINT, urgency);
+        try {
+            const vis = weed.container.getChildByName && weed.container.getChildByName('visuals');
+            if (vis) vis.scale.set(scale);
+            if (weed.graphic) {
+                for (const g of [weed.graphic].concat(weed.graphic.children || [])) {
+                    if ('tint' in g) g.tint = tint;
+                }
+            }
+            // keep the label and "!" above the grown plant
+            weed.label.y = weed._labelY * scale;
+            weed.exclaim.y = weed.label.y - 24;
+            if (weed.label.visible) this._drawLabelBg(weed);
+        } catch (e) {}
+        if (overdueChanged) this._styleExclaim(weed);
+        this._updateHitArea(weed);
+    }
+
+    _drawLabelBg(weed) {
+        weed.bg.clear();
+        weed.bg.beginFill(0xffffff, 0.95);
+        weed.bg.drawRoundedRect(-weed.label.width / 2 - 6, weed.label.y - 18, weed.label.width + 12, 18, 6);
+        weed.bg.endFill();
+    }
+
+    // swap the weed plant (if any) for a freshly grown one
+    _replacePlant(weed) {
+        try {
+            if (weed.graphic) weed.graphic.destroy({ children: true, texture: false, baseTexture: false });
+        } catch (e) {}
+        const plant = this._createPlant(weed.task);
+        const vis = weed.container.getChildByName && weed.container.getChildByName('visuals');
+        // the ticker wiggles the first child of visuals, so the plant goes first
+        if (vis) vis.addChildAt(plant, 0);
+        weed.graphic = plant;
+        weed.deadline = deadlineState(weed.task);
+        weed._thorns = thornLevel(weed.deadline);
+        // a fresh plant has no tint yet
+        weed._deadlineKey = null;
+        this._applyDeadlineLook(weed);
+    }
+
+    // label with subtask progress and a mark for recurring tasks, e.g. "Move house (2/5)", "Weekly report ↻"
+    _labelText(task) {
+        let text = (task && task.text) || 'Unnamed';
+        const { done, total } = subtaskProgress(task);
+        if (total) text += ` (${done}/${total})`;
+        if (task && task.recurrence) text += ' ↻';
+        return text;
+    }
+
+    // recurring flowers whose next occurrence has arrived turn back into weeds where they stand
+    _regrow() {
+        if (this._destroyed || !this._loaded) return;
+        this.store.regrowDue();
+    }
+
+    // move fully aged flowers to the archive, freeing their spots (not an undoable step, like regrowing)
+    _compost() {
+        if (this._destroyed || !this._loaded) return;
+        const composted = this.store.compostDue(new Date(), this.garden.compostAfterDays);
+        if (composted.length && this.onHint) {
+            this.onHint(`🍂 ${composted.length} old flower${composted.length === 1 ? '' : 's'} went to the compost`, 3.5);
+        }
+    }
+
+    // the tasks that are in the world (everything but the compost archive)
+    _gardenTasks() {
+        return this.store.list().filter(t => !t.archivedAt);
+    }
+
+    openArchive() {
+        return openArchive({
+            tasks: () => this.store.archived(),
+            compostDays: this.garden.compostAfterDays,
+            onRestore: (id) => this.restoreFromArchive(id),
+            onCompostDays: (days) => this.setCompostDays(days),
         });
-        weed.container.addChildAt(flower, 0);
-        weed.flower = flower;
+    }
+
+    // plant an archived task again as a fresh weed near the player (undoable)
+    restoreFromArchive(id) {
+        return this._recordChange('Restore', () => this.store.unarchive(id, this._findSpawnX()));
+    }
+
+    // days a flower stays before composting (null: never); saved with the garden
+    setCompostDays(days) {
+        this.garden.compostAfterDays = days;
+        this._save();
+        this._compost();
+    }
+
+    _drawStrike(weed) {
         try {
-            weed.label.style = Object.assign({}, weed.label.style, { fill: 0x666666 });
             weed.strike.clear();
             weed.strike.visible = true;
             const lw = weed.label.width;
@@ -471,7 +1814,6 @@ export class WeedManager {
             weed.strike.lineStyle(2, 0x666666);
             weed.strike.moveTo(-lw / 2, ly);
             weed.strike.lineTo(lw / 2, ly);
-            weed.check.visible = true;
         } catch (e) {}
     }
 
@@ -481,22 +1823,44 @@ export class WeedManager {
         if (!this.player) return;
         const px = this.player.x, py = this._playerFootY();
 
+        if (this._vinesDirty) this._syncVines();
+        this._updateVines(dt);
+        this.focus.tick(Date.now());
+        if (this._listsDirty) {
+            this._listsDirty = false;
+            this.search.refresh();
+            this.sidebar.refresh();
+        }
+
+        // deadlines move with the real clock, not with game time
+        this._deadlineAcc += dt;
+        if (this._deadlineAcc >= DEADLINE_REFRESH_S) {
+            this._deadlineAcc = 0;
+            const now = Date.now();
+            for (const w of this.weeds) {
+                if (w.bloomed) this._refreshAge(w, now);
+                else this._refreshDeadline(w, now);
+            }
+        }
+
         for (const w of this.weeds) {
             const d = this._distance(px, py, w.x, w.y);
-            const show = d < 110;
+            // search matches keep their labels up wherever they are
+            const show = d < 110 || w.id === this._hoverId || Boolean(this._highlights && this._highlights.has(w.id));
+            if (w.halo.visible) w.halo.alpha = 0.75 + 0.25 * Math.sin(this._swayTime * 4);
+            if (w.outline.visible) w.outline.alpha = 0.7 + 0.3 * Math.sin(this._swayTime * 6);
+            const ps = priorityStyle(w.task && w.task.priority);
+            const overdue = this._isOverdue(w);
             if (show && !w.label.visible) {
                 w.label.visible = true;
                 w.bg.visible = true;
-                w.bg.clear();
-                w.bg.beginFill(0xffffff, 0.95);
-                w.bg.drawRoundedRect(-w.label.width / 2 - 6, w.label.y - 18, w.label.width + 12, 18, 6);
-                w.bg.endFill();
+                this._drawLabelBg(w);
             } else if (!show && w.label.visible) {
                 w.label.visible = false;
                 w.bg.visible = false;
             }
 
-            if (w.container && !w.completed && w.container.sway) {
+            if (w.container && !w.bloomed && w.container.sway) {
                 const s = w.container.sway;
                 const tval = (this._swayTime * s.freq) + (s.phase || 0) + (s.offset || 0);
                 const v = Math.sin(tval);
@@ -509,22 +1873,26 @@ export class WeedManager {
                     const vis = w.container.getChildByName && w.container.getChildByName('visuals') || w.container.children[0];
                     if (vis && vis.children && vis.children[0]) {
                         const wiggle = Math.sin(tval * 2 + (s.phase || 0)) * 0.03 * (0.7 + nearFactor);
-                        vis.children[0].rotation = wiggle;
+                        vis.children[0].rotation = wiggle + (overdue ? w._wilt : 0);
                     }
                     if (w.exclaim) {
-                        w.exclaim.visible = (Math.floor(tval * 2) % 2 === 0) && !show;
+                        // more important weeds blink faster (low priority ones don't shout at all); overdue ones always do
+                        let blink = ps.exclaim ? ps.exclaim.blink : 0;
+                        if (overdue) blink = Math.max(6, blink * 2);
+                        w.exclaim.visible = blink > 0 && (Math.floor(tval * blink) % 2 === 0) && !show;
                     }
                 } catch (e) {}
 
-                if (!show && w.particles) {
+                const sparkle = overdue ? OVERDUE_SPARKLE : ps.sparkle;
+                if (!show && w.particles && sparkle) {
                     w._particleAcc = (w._particleAcc || 0) + dt;
-                    const rate = 0.25;
+                    const rate = sparkle.rate;
                     if (w._particleAcc > rate) {
                         w._particleAcc = 0;
-                        if (Math.random() < 0.8) {
+                        if (Math.random() < sparkle.chance) {
                             const pG = new PIXI.Graphics();
-                            pG.beginFill(0xFFD87A, 0.95);
-                            pG.drawCircle(0, 0, 2 + Math.random() * 2);
+                            pG.beginFill(sparkle.color, 0.95);
+                            pG.drawCircle(0, 0, (2 + Math.random() * 2) * (overdue ? 2 : 1));
                             pG.endFill();
                             const vis = w.container.getChildByName && w.container.getChildByName('visuals') || w.container.children[0];
                             if (vis) {
@@ -587,11 +1955,19 @@ export class WeedManager {
                     this._splashes.push({ gfx: s, elapsed: 0, dur: 0.9 + Math.random() * 0.6 });
                 } catch (e) {}
 
-                p.weed.hits = (p.weed.hits || 0) + 1;
                 try { if (p.gfx && p.gfx.parent) p.gfx.destroy(); } catch (e) {}
                 this._waters.splice(i, 1);
 
-                if (p.weed.hits >= 6) this._bloom(p.weed);
+                const task = p.weed.task;
+                // the weed may have been linked to a blocker while the water was in flight
+                if (task && !task.completed && !this.store.isBlocked(task.id)) {
+                    // one undo step per drop, so undo takes back the watering progress along with a bloom
+                    this._recordChange('Water', () => {
+                        const hits = (task.hits || 0) + 1;
+                        this.store.update(task.id, { hits });
+                        if (hits >= priorityStyle(task.priority).waterings) this._bloom(p.weed);
+                    });
+                }
             }
         }
 
@@ -607,6 +1983,80 @@ export class WeedManager {
         }
     }
 
+    // match the vines to the store: one per open blocker of an open task. Vines whose blocker
+    // bloomed drop away instead of vanishing; reopening the blocker brings them back.
+    _syncVines() {
+        this._vinesDirty = false;
+        const wanted = new Set();
+        for (const task of this.store.list()) {
+            if (task.completed) continue;
+            for (const blocker of this.store.blockersOf(task.id)) wanted.add(blocker.id + '>' + task.id);
+        }
+        for (const vine of this._vines.values()) {
+            if (wanted.has(vine.key)) vine.fall = null;
+            else if (vine.fall == null) vine.fall = 0;
+        }
+        for (const key of wanted) {
+            if (this._vines.has(key)) continue;
+            const [from, to] = key.split('>');
+            const gfx = new PIXI.Graphics();
+            this._vineLayer.addChild(gfx);
+            this._vines.set(key, { key, from, to, gfx, fall: null });
+        }
+    }
+
+    _removeVine(vine) {
+        this._vines.delete(vine.key);
+        try { vine.gfx.destroy(); } catch (e) {}
+    }
+
+    // redraw every vine between its two weeds (they sway and can be dragged)
+    _updateVines(dt) {
+        for (const vine of Array.from(this._vines.values())) {
+            const a = this._weedById(vine.from), b = this._weedById(vine.to);
+            if (!a || !b) {
+                this._removeVine(vine);
+                continue;
+            }
+            const g = vine.gfx;
+            if (vine.fall != null) {
+                vine.fall += dt;
+                const t = vine.fall / VINE_FALL_S;
+                if (t >= 1) {
+                    this._removeVine(vine);
+                    continue;
+                }
+                g.alpha = 1 - t;
+                g.y = 120 * t * t;
+            } else {
+                g.alpha = 1;
+                g.y = 0;
+            }
+            const x1 = a.container.x, y1 = a.y - 12;
+            const x2 = b.container.x, y2 = b.y - 12;
+            // arc over the ground between the two weeds, higher for longer spans
+            const cx = (x1 + x2) / 2;
+            const cy = Math.min(y1, y2) - 40 - Math.abs(x2 - x1) * 0.15;
+            g.clear();
+            g.lineStyle(3, VINE_COLOR, 1);
+            g.moveTo(x1, y1);
+            g.quadraticCurveTo(cx, cy, x2, y2);
+            g.lineStyle(0);
+            const leaves = Math.max(2, Math.min(8, Math.floor(Math.abs(x2 - x1) / 60)));
+            for (let i = 1; i <= leaves; i++) {
+                const t = i / (leaves + 1);
+                const px = (1 - t) * (1 - t) * x1 + 2 * (1 - t) * t * cx + t * t * x2;
+                const py = (1 - t) * (1 - t) * y1 + 2 * (1 - t) * t * cy + t * t * y2;
+                g.beginFill(VINE_LEAF_COLOR, 1);
+                g.drawEllipse(px + (i % 2 ? 4 : -4), py + (i % 2 ? -3 : 3), 5, 3);
+                g.endFill();
+            }
+            // the vine wraps around the blocked weed's stem
+            g.lineStyle(2, VINE_COLOR, 1);
+            g.drawEllipse(x2, y2, 6, 3);
+        }
+    }
+
     _playerFootY() {
         if (!this.player) return 0;
         return (this.player.y || 0) + (this.player.height ? (this.player.height / 2) : 0);
@@ -617,38 +2067,250 @@ export class WeedManager {
         return Math.hypot(dx, dy);
     }
 
+    _snapshot() {
+        this.garden.updatedAt = new Date().toISOString();
+        return this.store.toEnvelope(this.garden);
+    }
+
+    // id of this tab, recorded as updatedBy on changes made here
+    _replicaId() {
+        return this.tabSync ? this.tabSync.tabId : null;
+    }
+
+    _onSyncMessage(msg) {
+        if (!msg || msg.storageKey !== this.storageKey || !this._loaded || this._destroyed) return;
+        // stamp our own unsaved edits first so they compete with the remote ones instead of being overwritten
+        if (this._saveTimer) this.flush();
+        // field by field, so edits to different fields of one task in two tabs both survive
+        if (msg.type === 'changes') {
+            this._mergeRemoteFields(msg.tasks || [], msg.deleted || {});
+        } else if (msg.type === 'snapshot') {
+            let result = null;
+            try { result = migrate(msg.envelope); } catch (e) { return; }
+            if (result) this._mergeRemoteFields(result.envelope.tasks, result.envelope.deleted);
+        }
+    }
+
+    // merge tasks from the sync server or another tab field by field; whatever that changed here is
+    // saved and passed on to other tabs (which find nothing newer in it, so it stops there)
+    _mergeRemoteFields(tasks, deleted) {
+        const changes = this.store.mergeFieldwise(tasks, deleted, this._replicaId());
+        if (!changes) return;
+        if (this.tabSync) this.tabSync.post(Object.assign({ type: 'changes', storageKey: this.storageKey }, changes));
+        this._save();
+    }
+
+    // schedule a debounced write; cheap enough to call from the ticker
     _save() {
+        if (this._saveTimer || this._destroyed) return;
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null;
+            this.flush();
+        }, this.saveDelay);
+    }
+
+    _cancelPendingSave() {
+        if (!this._saveTimer) return;
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+    }
+
+    // write immediately (also used on pagehide so a pending debounce isn't lost)
+    flush() {
+        this._cancelPendingSave();
+        if (this._destroyed) return Promise.resolve();
+        // never write before the stored garden is loaded, or we'd overwrite it with a partial one
+        if (!this._loaded) return this.ready.then(() => this.flush());
+        if (this._saveBlocked) return Promise.resolve();
+        let out, changes;
         try {
-            const out = this.weeds.map(w => ({
-                text: w.text,
-                x: w.x,
-                completed: !!w.completed,
-                hits: Number(w.hits || 0),
-                due: w.due || null,
-                description: w.description || null
-            }));
-            localStorage.setItem(this.storageKey, JSON.stringify(out));
-        } catch (e) {}
+            changes = this.store.stampChanges(this._replicaId());
+            out = this._snapshot();
+        } catch (e) {
+            return Promise.resolve();
+        }
+        if (changes && this.tabSync) this.tabSync.post(Object.assign({ type: 'changes', storageKey: this.storageKey }, changes));
+        if (changes && this.sync) this.sync.recordLocalChanges(changes);
+        // other tabs save to the same history key; keep their entries
+        const history = this.storage.load(this.historyKey)
+            .catch(() => null)
+            .then((stored) => this.storage.save(this.historyKey, this.history.mergedJSON(stored)));
+        return Promise.all([
+            this.storage.save(this.storageKey, out),
+            history
+        ]).then(() => true, (e) => {
+            console.warn('[garden] could not save garden:', e);
+            return false;
+        });
+    }
+
+    // localStorage writes finish before the page goes away; other persistent adapters may not
+    _mirrorsPending() {
+        return this.storage.kind !== 'localStorage' && this.storage.kind !== 'memory' && typeof localStorage !== 'undefined';
     }
 
-    _load() {
+    // the page is hidden or unloading: start the write, and keep a synchronous copy in localStorage
+    // until it has landed, since the browser may drop an IndexedDB transaction that is still open.
+    // _load() picks the copy up if the write never finished.
+    _flushOnHide() {
+        if (!this._loaded || this._destroyed || this._saveBlocked) return;
+        const saved = this.flush();
+        if (!this._mirrorsPending()) return;
+        let updatedAt;
         try {
-            const raw = localStorage.getItem(this.storageKey);
-            if (!raw) return;
-            const arr = JSON.parse(raw);
-            if (!Array.isArray(arr)) return;
-            for (const r of arr) {
-                this._spawnWeed({
-                    text: r.text,
-                    x: Number.isFinite(r.x) ? r.x : null,
-                    y: null,
-                    completed: !!r.completed,
-                    hits: Number.isFinite(r.hits) ? r.hits : 0
-                });
+            const env = this.store.toEnvelope(this.garden);
+            updatedAt = env.garden.updatedAt;
+            localStorage.setItem(this.pendingKey, JSON.stringify(env));
+        } catch (e) {
+            console.warn('[garden] could not keep a copy of unsaved changes:', e);
+            return;
+        }
+        saved.then((ok) => {
+            if (ok) this._clearPending(updatedAt);
+        });
+    }
+
+    // drop the localStorage copy, unless a newer one was written meanwhile
+    _clearPending(updatedAt = null) {
+        try {
+            if (updatedAt) {
+                const pending = JSON.parse(localStorage.getItem(this.pendingKey));
+                if (pending && pending.garden && pending.garden.updatedAt !== updatedAt) return;
             }
+            localStorage.removeItem(this.pendingKey);
         } catch (e) {}
     }
 
+    // the copy left by _flushOnHide() when its write was cut off; null if there is none or it isn't readable
+    _readPending() {
+        if (!this._mirrorsPending()) return null;
+        try {
+            const raw = localStorage.getItem(this.pendingKey);
+            return raw == null ? null : migrate(JSON.parse(raw));
+        } catch (e) {
+            console.warn('[garden] ignoring unreadable copy of unsaved changes:', e);
+            return null;
+        }
+    }
+
+    async _load() {
+        let result = null, historyData = null, data = null, loadError = null;
+        try {
+            data = await this.storage.load(this.storageKey);
+            result = (data == null) ? null : migrate(data);
+            // something is stored but it isn't a garden we know; starting empty would save over it
+            if (data != null && !result) throw new Error('unrecognized garden data');
+        } catch (e) {
+            console.warn('[garden] could not read saved garden:', e);
+            loadError = e;
+        }
+        try {
+            historyData = await this.storage.load(this.historyKey);
+        } catch (e) {
+            console.warn('[garden] could not read undo history:', e);
+        }
+        // torn down (garden switched) while we were waiting on storage
+        if (this._destroyed) return;
+
+        // e.g. data from a newer build or a damaged envelope: keep a copy and don't save over it
+        if (loadError) {
+            this._saveBlocked = loadError;
+            this._loaded = true;
+            if (data != null) {
+                try {
+                    await this.storage.save(this.storageKey + ':backup', data);
+                } catch (e) {
+                    console.warn('[garden] could not back up unreadable garden:', e);
+                }
+            }
+            Swal.fire({
+                icon: 'error',
+                title: 'Could not open this garden',
+                html: `The saved garden could not be read (${esc(loadError.message || String(loadError))}).<br>` +
+                    (data != null ? `A copy was kept under <code>${esc(this.storageKey)}:backup</code>. ` : '') +
+                    'Nothing you change here will be saved, so the stored garden stays as it is.',
+            });
+            return;
+        }
+
+        // the last write before the page closed didn't finish; its copy is newer than what was stored
+        const pending = this._readPending();
+        let recovered = false;
+        if (pending) {
+            const storedAt = result ? result.envelope.garden.updatedAt || '' : '';
+            if ((pending.envelope.garden.updatedAt || '') > storedAt) {
+                result = pending;
+                recovered = true;
+            } else {
+                this._clearPending();
+            }
+        }
+
+        if (result) {
+            this.garden = result.envelope.garden;
+            this.store.load(result.envelope);
+        }
+        // the garden registry owns the name
+        if (this._gardenName) this.garden.name = this._gardenName;
+        this.history.load(historyData);
+        this._loaded = true;
+        if (this.sync) this.sync.start();
+        // reminder timers come from the stored tasks; alerts missed while the page was closed go out now
+        if (this.reminders) this.reminders.start();
+        this._regrow();
+        this._compost();
+        this._regrowTimer = setInterval(() => {
+            this._regrow();
+            this._compost();
+        }, REGROW_CHECK_MS);
+
+        // write the upgraded envelope back so older formats are only migrated once
+        if (result && (result.migrated || recovered)) {
+            const ok = await this.flush();
+            if (ok && recovered) this._clearPending();
+        }
+    }
+
+    setGardenName(name) {
+        if (!name) return;
+        this._gardenName = name;
+        this.garden.name = name;
+        this._save();
+    }
+
+    // tear down everything this manager created (used when switching gardens); pending saves are flushed
+    destroy() {
+        // log a running pomodoro before the final write
+        this.focus.stop();
+        this.focusHud.destroy();
+        this.search.close();
+        this.sidebar.destroy();
+        const flushed = this._loaded ? this.flush() : Promise.resolve();
+        this._destroyed = true;
+        window.removeEventListener('pagehide', this._flushHandler);
+        document.removeEventListener('visibilitychange', this._visibilityHandler);
+        window.removeEventListener('keydown', this._keyHandler);
+        clearInterval(this._regrowTimer);
+        for (const off of this._unsubscribe) off();
+        if (this.tabSync) this.tabSync.destroy();
+        if (this.sync) this.sync.stop();
+        if (this.reminders) this.reminders.stop();
+        if (this._activeWeedDialog) {
+            try { document.body.removeChild(this._activeWeedDialog); } catch (e) {}
+            this._activeWeedDialog = null;
+        }
+        for (const w of this.weeds.slice()) this._removeWeed(w);
+        for (const vine of Array.from(this._vines.values())) this._removeVine(vine);
+        try { this._vineLayer.destroy({ children: true }); } catch (e) {}
+        for (const s of this._splashes) {
+            try { if (s.gfx && s.gfx.parent) s.gfx.parent.removeChild(s.gfx); if (s.gfx) s.gfx.destroy(); } catch (e) {}
+        }
+        this._splashes.length = 0;
+        if (this._weedUiWrap && this._weedUiWrap.parentNode) this._weedUiWrap.parentNode.removeChild(this._weedUiWrap);
+        this._weedUiWrap = null;
+        return flushed;
+    }
+
     repositionToTerrain() {
         if (!this.terrain) return;
         for (const w of this.weeds) {
@@ -0,0 +1,28 @@
+// Bulk planting from a multi-line paste: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBulkAdd } from '../src/model/quickAdd.js';
+
+const now = new Date(2026, 2, 4, 9, 0);
+
+test('one task per line, bullets stripped, indented lines become subtasks', () => {
+    const items = parseBulkAdd([
+        '- [ ] pay rent tomorrow !high',
+        '  - find checkbook',
+        '\t- [x] write check',
+        '',
+        '2) mow the lawn #yard',
+        '• tomorrow',
+    ].join('\n'), now);
+    assert.deepEqual(items.map(i => [i.text, i.priority, i.tags, i.subtasks]), [
+        ['pay rent', 'high', [], ['find checkbook', 'write check']],
+        ['mow the lawn', null, ['yard'], []],
+        ['tomorrow', null, [], []],
+    ]);
+    assert.equal(items[0].due, '2026-03-05T00:00:00.000Z');
+});
+
+test('blank input plants nothing', () => {
+    assert.deepEqual(parseBulkAdd('  \n\n', now), []);
+    assert.deepEqual(parseBulkAdd(null, now), []);
+});
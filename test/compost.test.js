@@ -0,0 +1,67 @@
+// Flower aging, composting and the archive: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskStore } from '../src/model/taskStore.js';
+import { flowerAge, isCompostDue, normalizeCompostDays, AGE_DAYS } from '../src/model/compost.js';
+import { createGardenMeta, migrate } from '../src/storage/schema.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const completedAt = new Date('2026-03-01T10:00:00.000Z');
+const later = (days) => new Date(completedAt.getTime() + days * DAY_MS);
+
+test('composting is off until a period is chosen', () => {
+    assert.equal(createGardenMeta({}).compostAfterDays, null);
+    assert.equal(normalizeCompostDays(undefined), null);
+    assert.equal(normalizeCompostDays(-3), null);
+    assert.equal(normalizeCompostDays(14), 14);
+
+    const store = new TaskStore();
+    const t = store.add({ text: 'old' });
+    store.complete(t.id, { now: completedAt });
+    assert.deepEqual(store.compostDue(later(365), createGardenMeta({}).compostAfterDays), []);
+});
+
+test('flowers age over the compost period, or AGE_DAYS while composting is off', () => {
+    const flower = { completed: true, completedAt: completedAt.toISOString() };
+    assert.equal(flowerAge(flower, later(1).getTime(), 2), 0.5);
+    assert.equal(flowerAge(flower, later(AGE_DAYS / 2).getTime(), null), 0.5);
+    assert.equal(flowerAge(flower, later(30).getTime(), 2), 1);
+    assert.equal(flowerAge({ completed: false }, later(30).getTime(), 2), 0);
+});
+
+test('flowers saved without completedAt (v1) age from their last change', () => {
+    const { envelope } = migrate([{ text: 'old flower', completed: true }]);
+    const [t] = envelope.tasks;
+    assert.equal(t.completedAt, null);
+    const since = new Date(t.updatedAt).getTime();
+    assert.equal(flowerAge(t, since + DAY_MS, 2), 0.5);
+    assert.equal(isCompostDue(t, since + 3 * DAY_MS, 2), true);
+});
+
+test('compostDue archives flowers older than the period, except recurring ones waiting to regrow', () => {
+    const store = new TaskStore();
+    const old = store.add({ text: 'old' });
+    const fresh = store.add({ text: 'fresh' });
+    const recurring = store.add({ text: 'recurring', recurrence: { freq: 'days', every: 30 } });
+    store.complete(old.id, { now: completedAt });
+    store.complete(fresh.id, { now: later(6) });
+    store.complete(recurring.id, { now: completedAt });
+    const now = later(8);
+
+    assert.deepEqual(store.compostDue(now, 7).map(t => t.id), [old.id]);
+    assert.equal(store.get(old.id).archivedAt, now.toISOString());
+    assert.deepEqual(store.archived().map(t => t.id), [old.id]);
+    assert.deepEqual(store.compostDue(now, 7), []);
+});
+
+test('unarchive brings a task back as an open weed and keeps its history', () => {
+    const store = new TaskStore();
+    const t = store.add({ text: 'old', subtasks: [{ text: 'step', done: true }] });
+    store.complete(t.id, { now: completedAt });
+    store.compostDue(later(8), 7);
+
+    const back = store.unarchive(t.id, 120);
+    assert.deepEqual([back.archivedAt, back.completed, back.x, back.subtasks[0].done], [null, false, 120, false]);
+    assert.deepEqual(back.completions, [completedAt.toISOString()]);
+    assert.deepEqual(store.archived(), []);
+});
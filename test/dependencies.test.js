@@ -0,0 +1,27 @@
+// Task dependencies ("blocked by" vines): `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskStore } from '../src/model/taskStore.js';
+
+test('a task is blocked while any of its blockers is open', () => {
+    const store = new TaskStore();
+    const a = store.add({ text: 'buy soil' });
+    const b = store.add({ text: 'buy pots' });
+    const c = store.add({ text: 'repot', blockedBy: [a.id, b.id, 'deleted-task'] });
+    assert.deepEqual(store.blockersOf(c.id).map(t => t.text), ['buy soil', 'buy pots']);
+    store.complete(a.id);
+    assert.equal(store.isBlocked(c.id), true);
+    store.remove(b.id);
+    assert.equal(store.isBlocked(c.id), false);
+});
+
+test('wouldCycle catches direct and indirect loops', () => {
+    const store = new TaskStore();
+    const a = store.add({ text: 'a' });
+    const b = store.add({ text: 'b', blockedBy: [a.id] });
+    const c = store.add({ text: 'c', blockedBy: [b.id] });
+    assert.equal(store.wouldCycle(a.id, b.id), true);
+    assert.equal(store.wouldCycle(a.id, c.id), true);
+    assert.equal(store.wouldCycle(a.id, a.id), true);
+    assert.equal(store.wouldCycle(c.id, a.id), false);
+});
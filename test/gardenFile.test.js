@@ -0,0 +1,47 @@
+// Garden backup files (JSON export / import): `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeGardenFile, parseGardenFile, validateTaskEntry, GARDEN_FILE_FORMAT } from '../src/io/gardenFile.js';
+import { normalizeTask, createGardenMeta, SCHEMA_VERSION } from '../src/storage/schema.js';
+
+test('an exported garden reads back unchanged', () => {
+    const garden = createGardenMeta({ name: 'Backyard' });
+    const tasks = [
+        normalizeTask({ text: 'pull weeds', x: 40, priority: 'high', tags: ['yard'] }),
+        normalizeTask({ text: 'repot', completed: true, completedAt: '2026-03-01T10:00:00.000Z', subtasks: [{ text: 'soil', done: true }] }),
+    ];
+    const text = serializeGardenFile(garden, tasks);
+    const data = JSON.parse(text);
+    assert.equal(data.format, GARDEN_FILE_FORMAT);
+    assert.equal(data.version, SCHEMA_VERSION);
+
+    const parsed = parseGardenFile(text);
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.garden.name, 'Backyard');
+    assert.deepEqual(parsed.tasks, tasks);
+});
+
+test('malformed entries are skipped and reported with their position', () => {
+    const parsed = parseGardenFile(JSON.stringify({ tasks: [{ text: 'ok' }, { text: '' }, 'junk', { text: 'bad x', x: 'left' }] }));
+    assert.deepEqual(parsed.tasks.map(t => t.text), ['ok']);
+    assert.deepEqual(parsed.errors.map(e => [e.index, e.text]), [[1, ''], [2, null], [3, 'bad x']]);
+    assert.deepEqual(parsed.errors[2].problems, ['"x" must be a number']);
+});
+
+test('legacy v1 arrays are accepted', () => {
+    const parsed = parseGardenFile(JSON.stringify([{ text: 'old weed', x: 10, hits: 1 }]));
+    assert.deepEqual(parsed.tasks.map(t => [t.text, t.x, t.hits]), [['old weed', 10, 1]]);
+});
+
+test('files that are not a garden are rejected as a whole', () => {
+    assert.throws(() => parseGardenFile('{ nope'), /Not valid JSON/);
+    assert.throws(() => parseGardenFile('{"hello":1}'), /does not contain a task list/);
+    assert.throws(() => parseGardenFile(JSON.stringify({ version: SCHEMA_VERSION + 1, tasks: [] })), /only understands/);
+});
+
+test('validateTaskEntry checks field types', () => {
+    assert.deepEqual(validateTaskEntry({ text: 'fine', due: '2026-03-01T00:00:00.000Z', dueTime: '9:30' }), []);
+    assert.deepEqual(validateTaskEntry(null), ['not an object']);
+    assert.deepEqual(validateTaskEntry({ text: 'x', completed: 'yes', due: 'someday' }),
+        ['"completed" must be true/false', '"due" is not a valid date']);
+});
@@ -0,0 +1,73 @@
+// Undo / redo history: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { History, diffSnapshots } from '../src/history.js';
+import { TaskStore } from '../src/model/taskStore.js';
+
+// a store plus a history wired the way WeedManager does it
+function setup(limit) {
+    const store = new TaskStore();
+    const history = new History({ limit, apply: (id, record) => store.restore(id, record) });
+    const change = (label, fn) => {
+        const before = store.snapshot();
+        const result = fn();
+        history.record(label, diffSnapshots(before, store.snapshot()));
+        return result;
+    };
+    return { store, history, change };
+}
+
+test('diffSnapshots lists only added, removed and changed tasks', () => {
+    const a = { id: 'a', text: 'a' }, b = { id: 'b', text: 'b' };
+    const changes = diffSnapshots(new Map([['a', a], ['b', b]]), new Map([['a', a], ['b', { id: 'b', text: 'B' }], ['c', { id: 'c', text: 'c' }]]));
+    assert.deepEqual(changes.map(c => [c.id, c.before && c.before.text, c.after && c.after.text]), [['b', 'b', 'B'], ['c', null, 'c']]);
+    assert.deepEqual(diffSnapshots(new Map([['a', a]]), new Map()), [{ id: 'a', before: a, after: null }]);
+});
+
+test('undo and redo replay plant, edit and remove steps', () => {
+    const { store, history, change } = setup();
+    const t = change('Plant', () => store.add({ text: 'weed' }));
+    change('Rename', () => store.update(t.id, { text: 'big weed' }));
+    change('Remove', () => store.remove(t.id));
+    assert.equal(history.undoLabel, 'Remove');
+
+    history.undo();
+    assert.equal(store.get(t.id).text, 'big weed');
+    history.undo();
+    assert.equal(store.get(t.id).text, 'weed');
+    history.undo();
+    assert.equal(store.has(t.id), false);
+    assert.equal(history.canUndo, false);
+
+    history.redo();
+    history.redo();
+    assert.equal(store.get(t.id).text, 'big weed');
+    assert.equal(history.redoLabel, 'Remove');
+
+    // a new step drops what could have been redone
+    change('Rename', () => store.update(t.id, { text: 'tiny weed' }));
+    assert.equal(history.canRedo, false);
+});
+
+test('steps without changes are not recorded and old ones fall off past the limit', () => {
+    const { store, history, change } = setup(2);
+    change('Nothing', () => null);
+    assert.equal(history.canUndo, false);
+    for (const text of ['a', 'b', 'c']) change('Plant ' + text, () => store.add({ text }));
+    assert.deepEqual(history.undoStack.map(e => e.label), ['Plant b', 'Plant c']);
+});
+
+test('history survives a save and load, dropping malformed entries', () => {
+    const { store, history, change } = setup();
+    const t = change('Plant', () => store.add({ text: 'weed' }));
+    history.undo();
+    const saved = JSON.parse(JSON.stringify(history.toJSON()));
+    saved.undo.push({ label: 'broken' }, { label: 'old', changes: [{ id: t.id, before: null, after: null }] });
+
+    const restored = new History({ apply: (id, record) => store.restore(id, record) });
+    restored.load(saved);
+    assert.deepEqual(restored.undoStack.map(e => e.label), ['old']);
+    assert.equal(typeof restored.undoStack[0].id, 'string');
+    restored.redo();
+    assert.equal(store.get(t.id).text, 'weed');
+});
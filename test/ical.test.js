@@ -0,0 +1,55 @@
+// iCalendar VTODO import / export: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeICal, parseICal } from '../src/io/ical.js';
+import { normalizeTask } from '../src/storage/schema.js';
+
+const dueLines = (text) => text.split('\r\n').filter(l => l.startsWith('DUE'));
+
+test('tasks survive an export and re-import', () => {
+    const tasks = [
+        normalizeTask({ text: 'Pay rent; then, call', description: 'line one\nline two', due: '2024-05-10T00:00:00.000Z', priority: 'urgent', projects: ['Home'] }),
+        normalizeTask({ text: 'done already', completed: true, completedAt: '2024-05-02T08:30:00.000Z' }),
+    ];
+    const { tasks: back, errors } = parseICal(serializeICal(tasks));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(back.map(t => [t.id, t.text, t.description, t.due, t.dueTime, t.priority, t.projects, t.completed, t.completedAt]),
+        tasks.map(t => [t.id, t.text, t.description, t.due, t.dueTime, t.priority, t.projects, t.completed, t.completedAt]));
+});
+
+test('due times are written as a local date-time and read back', () => {
+    const tasks = [
+        normalizeTask({ text: 'timed', due: '2024-05-10T00:00:00.000Z', dueTime: '17:30' }),
+        normalizeTask({ text: 'all day', due: '2024-05-11T00:00:00.000Z' }),
+    ];
+    const text = serializeICal(tasks);
+    assert.deepEqual(dueLines(text), ['DUE:20240510T173000', 'DUE;VALUE=DATE:20240511']);
+    assert.deepEqual(parseICal(text).tasks.map(t => [t.due, t.dueTime]),
+        [['2024-05-10T00:00:00.000Z', '17:30'], ['2024-05-11T00:00:00.000Z', null]]);
+});
+
+test('normal priority is left out of the export', () => {
+    const text = serializeICal([normalizeTask({ text: 'plain' }), normalizeTask({ text: 'high', priority: 'high' })]);
+    assert.equal(text.split('\r\n').filter(l => l.startsWith('PRIORITY')).length, 1);
+});
+
+test('long lines are folded and unfolded again', () => {
+    const long = 'weed '.repeat(40).trim();
+    const text = serializeICal([normalizeTask({ text: long })]);
+    assert.ok(text.split('\r\n').every(l => new TextEncoder().encode(l).length <= 75));
+    assert.equal(parseICal(text).tasks[0].text, long);
+});
+
+test('VEVENTs import with DTSTART as the due date; bad components are reported', () => {
+    const text = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT', 'SUMMARY:Dentist', 'DTSTART;VALUE=DATE:20240601',
+        'BEGIN:VALARM', 'DESCRIPTION:reminder', 'END:VALARM', 'END:VEVENT',
+        'BEGIN:VTODO', 'DUE:nope', 'END:VTODO',
+        'END:VCALENDAR',
+    ].join('\r\n');
+    const { tasks, errors } = parseICal(text);
+    assert.deepEqual(tasks.map(t => [t.text, t.due, t.description]), [['Dentist', '2024-06-01T00:00:00.000Z', '']]);
+    assert.deepEqual(errors, [{ index: 1, text: null, problems: ['missing SUMMARY', 'DUE is not a valid date'] }]);
+    assert.throws(() => parseICal('hello'), /Not an iCalendar file/);
+});
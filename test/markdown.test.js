@@ -0,0 +1,48 @@
+// Markdown checklist import / export: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdownChecklist, serializeMarkdownChecklist } from '../src/io/markdown.js';
+import { normalizeTask } from '../src/storage/schema.js';
+
+const shape = (tasks) => tasks.map(t => [t.text, t.completed, t.group, t.subtasks.map(s => [s.text, s.done])]);
+
+test('headings group items and indented items become subtasks', () => {
+    const { tasks, errors } = parseMarkdownChecklist([
+        '- [ ] loose end',
+        '## Work',
+        '- [ ] write report',
+        '  - [x] collect numbers',
+        '    - [ ] check totals',
+        '- [X] send invoice',
+    ].join('\n'));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(shape(tasks), [
+        ['loose end', false, null, []],
+        ['write report', false, 'Work', [['collect numbers', true], ['check totals', false]]],
+        ['send invoice', true, 'Work', []],
+    ]);
+    assert.ok(tasks[2].completedAt);
+});
+
+test('an exported garden imports back as the same weeds and subtasks', () => {
+    const tasks = [
+        normalizeTask({ text: 'water roses', subtasks: [{ text: 'fill can', done: true }, { text: 'pour', done: false }] }),
+        normalizeTask({ text: 'mow', group: 'Yard', completed: true }),
+        normalizeTask({ text: 'rake\nleaves', group: 'Yard' }),
+    ];
+    const text = serializeMarkdownChecklist(tasks);
+    assert.equal(text, '- [ ] water roses\n  - [x] fill can\n  - [ ] pour\n\n## Yard\n\n- [x] mow\n- [ ] rake leaves\n');
+    const back = parseMarkdownChecklist(text).tasks;
+    assert.deepEqual(shape(back), [
+        ['water roses', false, null, [['fill can', true], ['pour', false]]],
+        ['mow', true, 'Yard', []],
+        ['rake leaves', false, 'Yard', []],
+    ]);
+    assert.equal(serializeMarkdownChecklist(back), text);
+});
+
+test('broken checkboxes and empty items are reported by line', () => {
+    const { tasks, errors } = parseMarkdownChecklist('- [ ] fine\n- [y] odd\n- [ ]  \nplain text');
+    assert.deepEqual(tasks.map(t => t.text), ['fine']);
+    assert.deepEqual(errors.map(e => [e.index, e.problems[0]]), [[1, 'checkbox must be "[ ]" or "[x]"'], [2, 'empty checklist item']]);
+});
@@ -0,0 +1,58 @@
+// Natural-language quick add: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuickAdd } from '../src/model/quickAdd.js';
+
+// Wednesday 2026-03-04, 09:00 local
+const now = new Date(2026, 2, 4, 9, 0);
+const parse = (input) => {
+    const r = parseQuickAdd(input, now);
+    return { text: r.text, due: r.due && r.due.slice(0, 10), dueTime: r.dueTime, priority: r.priority, tags: r.tags, recurrence: r.recurrence };
+};
+
+test('dates, times, priority, tags and recurrence come out of the title', () => {
+    assert.deepEqual(parse('pay rent tomorrow 5pm !high #home every month'), {
+        text: 'pay rent', due: '2026-03-05', dueTime: '17:00', priority: 'high', tags: ['home'], recurrence: { freq: 'monthly', monthDay: 5 },
+    });
+    assert.deepEqual(parse('just a weed'), { text: 'just a weed', due: null, dueTime: null, priority: null, tags: [], recurrence: null });
+});
+
+test('dates', () => {
+    assert.equal(parse('taxes on 2026-04-01').due, '2026-04-01');
+    assert.equal(parse('taxes by apr 15th').due, '2026-04-15');
+    assert.equal(parse('party 5th january').due, '2027-01-05');
+    assert.equal(parse('call in 2 weeks').due, '2026-03-18');
+    assert.equal(parse('call next fri').due, '2026-03-06');
+    assert.deepEqual([parse('dinner tonight').due, parse('dinner tonight').dueTime], ['2026-03-04', '20:00']);
+});
+
+test('a bare time means its next occurrence', () => {
+    assert.deepEqual([parse('call bob at 8am').due, parse('call bob at 8am').dueTime], ['2026-03-05', '08:00']);
+    assert.deepEqual([parse('lunch at noon').due, parse('lunch at noon').dueTime], ['2026-03-04', '12:00']);
+    assert.equal(parse('sync @ 9:15').dueTime, '09:15');
+    assert.equal(parse('standup 17:00').dueTime, '17:00');
+});
+
+test('recurrence', () => {
+    assert.deepEqual(parse('water every mon and thu').recurrence, { freq: 'weekly', weekdays: [1, 4] });
+    assert.deepEqual(parse('water every other day').recurrence, { freq: 'days', every: 2 });
+    assert.deepEqual(parse('report weekly').recurrence, { freq: 'weekly', weekdays: [3] });
+    assert.deepEqual(parse('water plants daily #garden'), {
+        text: 'water plants', due: '2026-03-04', dueTime: null, priority: null, tags: ['garden'], recurrence: { freq: 'daily' },
+    });
+    assert.deepEqual(parse('standup at 9:30 daily').recurrence, { freq: 'daily' });
+});
+
+test('words that only contain a date, time or recurrence stay in the title', () => {
+    assert.deepEqual(parse("read today's paper"), { text: "read today's paper", due: null, dueTime: null, priority: null, tags: [], recurrence: null });
+    assert.deepEqual(parse('study John 3:16'), { text: 'study John 3:16', due: null, dueTime: null, priority: null, tags: [], recurrence: null });
+    assert.deepEqual(parse('write weekly report'), { text: 'write weekly report', due: null, dueTime: null, priority: null, tags: [], recurrence: null });
+    assert.equal(parse('fix typos in todays notes').due, null);
+    assert.equal(parse('saturday market').due, '2026-03-07');
+    assert.equal(parse('sat exam prep').due, null);
+});
+
+test('numeric #nn stays in the title', () => {
+    assert.deepEqual([parse('fix issue #42 #work').text, parse('fix issue #42 #work').tags], ['fix issue #42', ['work']]);
+    assert.equal(parse('fix #42 !!').priority, 'high');
+});
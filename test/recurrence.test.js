@@ -0,0 +1,61 @@
+// Recurring tasks that regrow on a schedule: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRecurrence, nextOccurrence, describeRecurrence } from '../src/model/recurrence.js';
+import { TaskStore } from '../src/model/taskStore.js';
+
+// local calendar day of a Date, "YYYY-MM-DD"
+const day = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+test('rules are validated', () => {
+    assert.equal(normalizeRecurrence({ freq: 'hourly' }), null);
+    assert.equal(normalizeRecurrence({ freq: 'weekly', weekdays: [9] }), null);
+    assert.deepEqual(normalizeRecurrence({ freq: 'weekly', weekdays: [4, 1, 4] }), { freq: 'weekly', weekdays: [1, 4] });
+    assert.deepEqual(normalizeRecurrence({ freq: 'days', every: 0 }), { freq: 'days', every: 1 });
+    assert.deepEqual(normalizeRecurrence({ freq: 'monthly', monthDay: 40 }), { freq: 'monthly', monthDay: 1 });
+    assert.equal(describeRecurrence({ freq: 'weekly', weekdays: [1, 4] }), 'Every Mon, Thu');
+});
+
+test('nextOccurrence falls on the start of the next matching local day', () => {
+    const wed = new Date(2026, 2, 4, 15, 30);
+    assert.equal(day(nextOccurrence({ freq: 'daily' }, wed)), '2026-03-05');
+    assert.equal(day(nextOccurrence({ freq: 'days', every: 3 }, wed)), '2026-03-07');
+    assert.equal(day(nextOccurrence({ freq: 'weekly', weekdays: [1, 3] }, wed)), '2026-03-09');
+    assert.equal(day(nextOccurrence({ freq: 'monthly', monthDay: 4 }, wed)), '2026-04-04');
+    assert.equal(nextOccurrence({ freq: 'daily' }, wed).getHours(), 0);
+    // short months clamp the day
+    assert.equal(day(nextOccurrence({ freq: 'monthly', monthDay: 31 }, new Date(2026, 1, 10))), '2026-02-28');
+});
+
+test('completing a recurring task logs the occurrence and schedules the regrowth; reopen takes both back', () => {
+    const store = new TaskStore();
+    const t = store.add({ text: 'water', due: '2026-03-04T00:00:00.000Z', recurrence: { freq: 'days', every: 2 } });
+    const now = new Date('2026-03-04T10:00:00.000Z');
+
+    const done = store.complete(t.id, { now });
+    assert.deepEqual(done.occurrences, [{ due: '2026-03-04T00:00:00.000Z', completedAt: now.toISOString() }]);
+    assert.equal(done.regrowAt, nextOccurrence(done.recurrence, now).toISOString());
+
+    const open = store.reopen(t.id);
+    assert.equal(open.regrowAt, null);
+    assert.deepEqual(open.occurrences, []);
+});
+
+test('regrowDue reopens recurring tasks once their next occurrence has come', () => {
+    const store = new TaskStore();
+    const t = store.add({ text: 'water', recurrence: { freq: 'days', every: 1 }, subtasks: [{ text: 'fill can', done: true }] });
+    const once = store.add({ text: 'mow' });
+    store.complete(once.id);
+    const done = store.complete(t.id, { now: new Date(2026, 2, 4, 10, 0) });
+    const regrowAt = new Date(done.regrowAt).getTime();
+
+    assert.deepEqual(store.regrowDue(new Date(regrowAt - 1000)), []);
+    const regrown = store.regrowDue(new Date(regrowAt + 1000));
+    assert.deepEqual(regrown.map(r => r.id), [t.id]);
+    const [r] = regrown;
+    assert.equal(r.completed, false);
+    assert.equal(r.regrowAt, null);
+    assert.equal(r.due, '2026-03-05T00:00:00.000Z');
+    assert.equal(r.subtasks[0].done, false);
+    assert.equal(r.occurrences.length, 1);
+});
@@ -0,0 +1,39 @@
+// Save format versions and migrations: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrate, detectVersion, SCHEMA_VERSION } from '../src/storage/schema.js';
+
+test('migrate upgrades a v1 array to the current envelope', () => {
+    const result = migrate([{ text: 'pull weeds', x: 120, hits: 2 }, null, 'junk']);
+    assert.equal(result.fromVersion, 1);
+    assert.equal(result.migrated, true);
+    assert.equal(result.envelope.version, SCHEMA_VERSION);
+    assert.equal(result.envelope.tasks.length, 1);
+    const [t] = result.envelope.tasks;
+    assert.equal(t.text, 'pull weeds');
+    assert.equal(t.x, 120);
+    assert.equal(t.priority, 'normal');
+    assert.ok(t.id);
+    assert.deepEqual(t.completions, []);
+});
+
+test('migrate maps v2 priority letters to levels', () => {
+    const tasks = ['A', 'B', 'C', 'Q', null].map((priority, i) => ({ id: 't' + i, text: 'task ' + i, priority }));
+    const { envelope, migrated } = migrate({ version: 2, garden: {}, tasks });
+    assert.equal(migrated, true);
+    assert.deepEqual(envelope.tasks.map(t => t.priority), ['urgent', 'high', 'low', 'low', 'normal']);
+});
+
+test('migrate leaves current data alone and refuses newer or unknown data', () => {
+    const current = migrate({ version: SCHEMA_VERSION, garden: {}, tasks: [] });
+    assert.equal(current.migrated, false);
+    assert.equal(migrate('nonsense'), null);
+    assert.throws(() => migrate({ version: SCHEMA_VERSION + 1, tasks: [] }), /schema v/);
+});
+
+test('detectVersion tells arrays, envelopes and anything else apart', () => {
+    assert.equal(detectVersion([]), 1);
+    assert.equal(detectVersion({ version: 2, tasks: [] }), 2);
+    assert.equal(detectVersion({ tasks: [] }), 0);
+    assert.equal(detectVersion(null), 0);
+});
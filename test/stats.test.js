@@ -0,0 +1,51 @@
+// Bloom log and productivity stats: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskStore } from '../src/model/taskStore.js';
+import { computeStats, formatSpan, dayKey } from '../src/model/stats.js';
+
+const at = (d, h = 12) => new Date(2026, 2, d, h, 0);
+
+test('every bloom is logged and reopening takes the last one back', () => {
+    const store = new TaskStore();
+    const t = store.add({ text: 'water', recurrence: { freq: 'daily' } });
+    store.complete(t.id, { now: at(2) });
+    store.regrowDue(at(4));
+    store.complete(t.id, { now: at(4) });
+    assert.deepEqual(store.get(t.id).completions, [at(2).toISOString(), at(4).toISOString()]);
+    store.reopen(t.id);
+    assert.deepEqual(store.get(t.id).completions, [at(2).toISOString()]);
+});
+
+test('computeStats counts blooms per day and week, streaks, bloom time and overdue tasks', () => {
+    const store = new TaskStore();
+    const bloom = (text, createdDay, doneDays, fields = {}) => {
+        const t = store.add(Object.assign({ text, createdAt: at(createdDay, 8).toISOString() }, fields));
+        store.update(t.id, { completed: true, completedAt: at(doneDays[doneDays.length - 1]).toISOString(), completions: doneDays.map(d => at(d).toISOString()) });
+    };
+    bloom('a', 1, [2]);             // 28 h to bloom
+    bloom('b', 3, [3, 4]);          // 4 h to bloom
+    bloom('late', 5, [6], { due: '2026-03-05T00:00:00.000Z' });
+    store.add({ text: 'overdue', due: '2026-03-01T00:00:00.000Z' });
+    store.add({ text: 'open' });
+
+    const s = computeStats(store.list(), at(7, 18));
+    assert.equal(s.totalBlooms, 4);
+    assert.equal(s.today, 0);
+    assert.equal(s.perDay.length, 14);
+    assert.deepEqual(s.perDay.slice(-6).map(b => [dayKey(b.start), b.count]),
+        [['2026-03-02', 1], ['2026-03-03', 1], ['2026-03-04', 1], ['2026-03-05', 0], ['2026-03-06', 1], ['2026-03-07', 0]]);
+    // weeks start on Monday: Mar 2 - 8
+    assert.equal(s.thisWeek, 4);
+    assert.equal(s.currentStreak, 1);
+    assert.equal(s.longestStreak, 3);
+    assert.equal(s.avgBloomMs, (28 + 4 + 28) / 3 * 3600 * 1000);
+    assert.deepEqual([s.open, s.overdue, s.lateBlooms], [2, 1, 1]);
+});
+
+test('formatSpan', () => {
+    assert.equal(formatSpan(null), '–');
+    assert.equal(formatSpan(20 * 60000), '20 min');
+    assert.equal(formatSpan(5 * 3600000), '5 h');
+    assert.equal(formatSpan(3 * 86400000), '3 days');
+});
@@ -0,0 +1,25 @@
+// Subtasks (the branches of a weed): `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskStore, canComplete, subtaskProgress } from '../src/model/taskStore.js';
+
+test('subtasks are cleaned up and get ids', () => {
+    const store = new TaskStore();
+    const t = store.add({ text: 'repot', subtasks: [{ text: '  buy soil ', done: 1 }, { text: '' }, 'junk', { id: 's1', text: 'water' }] });
+    assert.deepEqual(t.subtasks.map(s => [s.text, s.done]), [['buy soil', true], ['water', false]]);
+    assert.equal(t.subtasks[1].id, 's1');
+    assert.equal(typeof t.subtasks[0].id, 'string');
+});
+
+test('a task with unfinished subtasks cannot be completed', () => {
+    const store = new TaskStore();
+    const t = store.add({ text: 'repot', subtasks: [{ text: 'buy soil', done: true }, { text: 'water', done: false }] });
+    assert.deepEqual(subtaskProgress(t), { done: 1, total: 2 });
+    assert.equal(canComplete(t), false);
+    assert.equal(store.complete(t.id), null);
+    assert.equal(store.get(t.id).completed, false);
+
+    store.update(t.id, { subtasks: t.subtasks.map(s => Object.assign({}, s, { done: true })) });
+    assert.equal(store.complete(t.id).completed, true);
+    assert.equal(canComplete({ subtasks: [] }), true);
+});
@@ -0,0 +1,120 @@
+// Device sync: per-field merge, the sync server and the client engine: `npm test` (node --test)
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeFields, fieldTime, latestFieldTime, changedFields } from '../src/sync/fieldMerge.js';
+import { createSyncServer } from '../server/syncServer.mjs';
+import { SyncEngine } from '../src/sync/syncEngine.js';
+import { TaskStore } from '../src/model/taskStore.js';
+import { MemoryAdapter } from '../src/storage/memoryAdapter.js';
+
+// SyncEngine listens for online/offline events on window
+globalThis.window ??= new EventTarget();
+
+let server, endpoint;
+before(async () => {
+    server = createSyncServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('mergeFields takes each field from whichever side changed it last', () => {
+    const local = { text: 'a', due: null, updatedAt: '2026-01-01T00:00:00Z', fieldTimes: { text: '2026-01-03T00:00:00Z' } };
+    const remote = { text: 'b', due: '2026-02-01T00:00:00.000Z', updatedAt: '2026-01-02T00:00:00Z', fieldTimes: { text: '2026-01-02T00:00:00Z' } };
+    const { merged, changed } = mergeFields(local, remote);
+    assert.equal(changed, true);
+    assert.equal(merged.text, 'a');
+    assert.equal(merged.due, '2026-02-01T00:00:00.000Z');
+    assert.equal(merged.fieldTimes.due, '2026-01-02T00:00:00Z');
+    assert.equal(mergeFields(merged, remote).changed, false);
+});
+
+test('field times fall back to the record time for data without fieldTimes', () => {
+    const r = { createdAt: '2026-01-01T00:00:00Z', updatedAt: '2026-01-05T00:00:00Z', fieldTimes: { text: '2026-01-09T00:00:00Z' } };
+    assert.equal(fieldTime(r, 'text'), '2026-01-09T00:00:00Z');
+    assert.equal(fieldTime(r, 'due'), '2026-01-05T00:00:00Z');
+    assert.equal(latestFieldTime(r), '2026-01-09T00:00:00Z');
+    assert.deepEqual(changedFields({ text: 'a', tags: [] }, { text: 'a', tags: ['x'] }), ['tags']);
+});
+
+test('the server keeps both sides of concurrent edits and hands out changes by cursor', async () => {
+    const url = `${endpoint}/gardens/default`;
+    const push = (body) => fetch(`${url}/push`, { method: 'POST', body: JSON.stringify(body) }).then(r => r.json());
+    const base = { id: 't1', text: 'water', priority: 'normal', rev: 1, updatedAt: '2026-01-01T00:00:00Z' };
+
+    const first = await push({ tasks: [base], deleted: {} });
+    await push({ tasks: [Object.assign({}, base, { text: 'water roses', rev: 2, fieldTimes: { text: '2026-01-02T00:00:00Z' } })] });
+    await push({ tasks: [Object.assign({}, base, { priority: 'high', rev: 2, fieldTimes: { priority: '2026-01-03T00:00:00Z' } })] });
+
+    const all = await fetch(`${url}/changes?since=0`).then(r => r.json());
+    assert.deepEqual(all.tasks.map(t => [t.text, t.priority, t.rev]), [['water roses', 'high', 2]]);
+    const none = await fetch(`${url}/changes?since=${all.cursor}`).then(r => r.json());
+    assert.deepEqual(none.tasks, []);
+    assert.ok(all.cursor > first.cursor);
+
+    await push({ deleted: { t1: { rev: 3, updatedAt: '2026-01-04T00:00:00Z' } } });
+    const gone = await fetch(`${url}/changes?since=${all.cursor}`).then(r => r.json());
+    assert.deepEqual(Object.keys(gone.deleted), ['t1']);
+});
+
+test('bad requests get an error answer and the server stays up', async () => {
+    const status = (path, init) => fetch(endpoint + path, init).then(r => r.status);
+    assert.equal(await status('/gardens/%E0%A4%A/changes?since=0'), 400);
+    assert.equal(await status('/gardens/__proto__/changes?since=0'), 400);
+    assert.equal(await status('/gardens/__proto__/push', { method: 'POST', body: '{}' }), 400);
+    assert.equal(await status('/gardens/default/push', { method: 'POST', body: '{nope' }), 400);
+    assert.equal(await status('/gardens/default/push', { method: 'POST', body: 'null' }), 400);
+    assert.equal(await status('/gardens/default/push', { method: 'POST', body: JSON.stringify({ tasks: [{ id: '__proto__', text: 'x' }] }) }), 200);
+    assert.equal(await status('/gardens/default/changes'), 200);
+    assert.equal(await status('/health'), 200);
+});
+
+// a device: its own task store synced through a SyncEngine
+function device(gardenId, clientId) {
+    const store = new TaskStore();
+    const engine = new SyncEngine({
+        endpoint, gardenId, clientId,
+        storage: new MemoryAdapter(),
+        logKey: 'sync',
+        getLocal: (id) => store.syncState(id),
+        applyRemote: (tasks, deleted) => store.mergeFieldwise(tasks, deleted, clientId),
+    });
+    const save = () => {
+        const changes = store.stampChanges(clientId);
+        if (changes) engine.recordLocalChanges(changes);
+    };
+    return { store, engine, save };
+}
+
+test('two devices exchange edits through the server', async () => {
+    const phone = device('sync-test', 'phone');
+    const laptop = device('sync-test', 'laptop');
+    await phone.engine.start();
+    await laptop.engine.start();
+    try {
+        const t = phone.store.add({ text: 'water' });
+        phone.save();
+        await phone.engine.syncNow();
+        await laptop.engine.syncNow();
+        assert.equal(laptop.store.get(t.id).text, 'water');
+
+        await tick();
+        phone.store.update(t.id, { text: 'water the roses' });
+        phone.save();
+        laptop.store.update(t.id, { priority: 'urgent' });
+        laptop.save();
+        await phone.engine.syncNow();
+        await laptop.engine.syncNow();
+        await phone.engine.syncNow();
+        for (const d of [phone, laptop]) {
+            assert.deepEqual([d.store.get(t.id).text, d.store.get(t.id).priority], ['water the roses', 'urgent']);
+        }
+        assert.equal(phone.engine.log.length, 0);
+        assert.equal(phone.engine.status.state, 'synced');
+    } finally {
+        await phone.engine.stop();
+        await laptop.engine.stop();
+    }
+});
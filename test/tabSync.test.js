@@ -0,0 +1,83 @@
+// Merging changes between tabs of one garden: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskStore } from '../src/model/taskStore.js';
+import { History } from '../src/history.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// two tabs that loaded the same saved garden
+function twoTabs(fields) {
+    const a = new TaskStore();
+    const t = a.add(fields);
+    a.stampChanges('a');
+    const b = new TaskStore();
+    b.load(a.toEnvelope({}));
+    return { a, b, id: t.id };
+}
+
+test('edits to different fields of one task in two tabs both survive', () => {
+    const { a, b, id } = twoTabs({ text: 'water', priority: 'normal' });
+    a.update(id, { text: 'water the roses' });
+    b.update(id, { priority: 'high' });
+    const fromA = a.stampChanges('a');
+    const fromB = b.stampChanges('b');
+
+    assert.ok(b.mergeFieldwise(fromA.tasks, fromA.deleted, 'b'));
+    assert.ok(a.mergeFieldwise(fromB.tasks, fromB.deleted, 'a'));
+    for (const store of [a, b]) {
+        assert.deepEqual([store.get(id).text, store.get(id).priority], ['water the roses', 'high']);
+    }
+    // nothing new comes back from a change the other tab already has
+    assert.equal(a.mergeFieldwise(fromA.tasks, fromA.deleted, 'a'), null);
+});
+
+test('the later edit of the same field wins in both tabs', async () => {
+    const { a, b, id } = twoTabs({ text: 'water' });
+    a.update(id, { text: 'from a' });
+    const fromA = a.stampChanges('a');
+    await tick();
+    b.update(id, { text: 'from b' });
+    const fromB = b.stampChanges('b');
+
+    b.mergeFieldwise(fromA.tasks, fromA.deleted, 'b');
+    a.mergeFieldwise(fromB.tasks, fromB.deleted, 'a');
+    assert.equal(a.get(id).text, 'from b');
+    assert.equal(b.get(id).text, 'from b');
+});
+
+test('a delete reaches the other tab unless that tab edited the task afterwards', async () => {
+    const { a, b, id } = twoTabs({ text: 'water' });
+    const other = twoTabs({ text: 'mow' });
+    await tick();
+    a.remove(id);
+    const fromA = a.stampChanges('a');
+    assert.ok(fromA.deleted[id]);
+
+    b.mergeFieldwise(fromA.tasks, fromA.deleted, 'b');
+    assert.equal(b.has(id), false);
+
+    other.a.remove(other.id);
+    const deleted = other.a.stampChanges('a');
+    await tick();
+    other.b.update(other.id, { text: 'mow the lawn' });
+    other.b.stampChanges('b');
+    other.b.mergeFieldwise(deleted.tasks, deleted.deleted, 'b');
+    assert.equal(other.b.get(other.id).text, 'mow the lawn');
+});
+
+test('saving keeps undo steps another tab stored in the meantime', async () => {
+    const mine = new History();
+    const theirs = new History();
+    mine.load(null);
+    theirs.load(null);
+    theirs.record('Plant (other tab)', [{ id: 't1', before: null, after: { id: 't1' } }]);
+    await tick();
+    mine.record('Plant (this tab)', [{ id: 't2', before: null, after: { id: 't2' } }]);
+    const stored = JSON.parse(JSON.stringify(theirs.toJSON()));
+
+    const merged = mine.mergedJSON(stored);
+    assert.deepEqual(merged.undo.map(e => e.label), ['Plant (other tab)', 'Plant (this tab)']);
+    // our own entries are never duplicated from storage
+    assert.equal(mine.mergedJSON(merged).undo.length, 2);
+});
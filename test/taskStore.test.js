@@ -0,0 +1,73 @@
+// Headless task model (TaskStore): `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskStore } from '../src/model/taskStore.js';
+
+// every event the store emits, as [type, task text, source, fields]
+function recordEvents(store) {
+    const events = [];
+    for (const type of ['added', 'updated', 'completed', 'removed']) {
+        store.on(type, (e) => events.push([type, e.task.text, e.source, e.fields || null]));
+    }
+    return events;
+}
+
+test('add, update and remove emit events with the fields that changed', () => {
+    const store = new TaskStore();
+    const events = recordEvents(store);
+    const t = store.add({ text: 'weed' });
+    store.update(t.id, { text: 'big weed', hits: 2 }, { source: 'history' });
+    store.update(t.id, { text: 'big weed' });
+    store.remove(t.id);
+    assert.deepEqual(events, [
+        ['added', 'weed', 'local', null],
+        ['updated', 'big weed', 'history', ['text', 'hits']],
+        ['removed', 'big weed', 'local', null],
+    ]);
+    assert.equal(store.size, 0);
+    assert.throws(() => { store.add({ id: 'x', text: 'a' }); store.add({ id: 'x', text: 'b' }); }, /already exists/);
+});
+
+test('records are normalized and handed out as detached copies on request', () => {
+    const store = new TaskStore();
+    const t = store.add({ text: 'weed', priority: 'bogus', tags: 'not a list' });
+    assert.equal(t.priority, 'normal');
+    assert.deepEqual(t.tags, []);
+    const copy = store.toRecord(t.id);
+    copy.text = 'changed';
+    assert.equal(store.get(t.id).text, 'weed');
+    assert.equal(store.update('missing', { text: 'x' }), null);
+});
+
+test('complete and reopen a task', () => {
+    const store = new TaskStore();
+    const events = recordEvents(store);
+    const t = store.add({ text: 'weed' });
+    const now = new Date('2026-03-04T10:00:00.000Z');
+
+    const done = store.complete(t.id, { now });
+    assert.equal(done.completed, true);
+    assert.equal(done.completedAt, now.toISOString());
+    assert.equal(store.complete(t.id), done);
+    assert.ok(events.some(e => e[0] === 'completed'));
+
+    const open = store.reopen(t.id);
+    assert.equal(open.completed, false);
+    assert.equal(open.completedAt, null);
+    assert.equal(open.hits, 0);
+});
+
+test('load replaces the contents and toEnvelope writes them back', () => {
+    const store = new TaskStore();
+    store.add({ text: 'old' });
+    const source = new TaskStore();
+    source.add({ text: 'a' });
+    source.add({ text: 'b' });
+    const envelope = source.toEnvelope({ name: 'Garden' });
+
+    store.load(envelope);
+    assert.deepEqual(store.list().map(t => t.text), ['a', 'b']);
+    assert.deepEqual(store.toEnvelope({ name: 'Garden' }).tasks, envelope.tasks);
+    // loaded tasks count as saved, so there is nothing to stamp
+    assert.equal(store.stampChanges('tab'), null);
+});
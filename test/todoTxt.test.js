@@ -0,0 +1,42 @@
+// todo.txt import / export: `npm test` (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTodoTxtLine, parseTodoTxt, serializeTodoTxtLine, serializeTodoTxt } from '../src/io/todoTxt.js';
+
+test('a completed line keeps dates, projects, contexts, tags and extras', () => {
+    const t = parseTodoTxtLine('x 2024-05-02 2024-05-01 Call mom +Family @phone #home due:2024-05-10 pri:A rec:1m');
+    assert.equal(t.text, 'Call mom');
+    assert.equal(t.completed, true);
+    assert.equal(t.completedAt, '2024-05-02T00:00:00.000Z');
+    assert.equal(t.createdAt, '2024-05-01T00:00:00.000Z');
+    assert.equal(t.due, '2024-05-10T00:00:00.000Z');
+    assert.equal(t.priority, 'urgent');
+    assert.deepEqual([t.projects, t.contexts, t.tags], [['Family'], ['phone'], ['home']]);
+    assert.deepEqual(t.extras, { rec: '1m' });
+    assert.equal(serializeTodoTxtLine(t), 'x 2024-05-02 2024-05-01 Call mom +Family @phone #home due:2024-05-10 pri:A rec:1m');
+});
+
+test('priority letters map to levels and letters past C survive a round trip', () => {
+    const levels = ['(A) a', '(B) b', '(C) c', 'd'].map(l => parseTodoTxtLine(l).priority);
+    assert.deepEqual(levels, ['urgent', 'high', 'low', 'normal']);
+
+    const line = '(D) 2024-05-01 Pay rent +Home due:2024-06-01';
+    const t = parseTodoTxtLine(line);
+    assert.equal(t.priority, 'low');
+    assert.equal(serializeTodoTxtLine(t), line);
+    // once the level changes the letter follows it
+    assert.equal(serializeTodoTxtLine(Object.assign({}, t, { priority: 'high' })), '(B) 2024-05-01 Pay rent +Home due:2024-06-01');
+});
+
+test('urls are part of the text, not key:value extras', () => {
+    const t = parseTodoTxtLine('read http://example.com later');
+    assert.equal(t.text, 'read http://example.com later');
+    assert.deepEqual(t.extras, {});
+});
+
+test('blank lines are skipped and every other line is a task', () => {
+    const { tasks, errors } = parseTodoTxt('\n(B) water the roses\n   \nmow\n');
+    assert.deepEqual(tasks.map(t => t.text), ['water the roses', 'mow']);
+    assert.deepEqual(errors, []);
+    assert.match(serializeTodoTxt(tasks), /^\(B\) \d{4}-\d{2}-\d{2} water the roses\n\d{4}-\d{2}-\d{2} mow\n$/);
+});